@@ -0,0 +1,240 @@
+// Frame analysis on decoded frames ({ width, height, pixels } with packed RGB
+// pixels), shared by capture health checks and crop calibration. Nothing here
+// reads files or runs ffmpeg, so it can be tested on frames built in memory.
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Relative luminance (0-1) of an RGB pixel, with Rec. 709 weights
+function getLuminance(pixels, offset) {
+  return (
+    (0.2126 * pixels[offset] +
+      0.7152 * pixels[offset + 1] +
+      0.0722 * pixels[offset + 2]) /
+    255
+  );
+}
+
+// Mean and standard deviation of luminance over a grid of about 100k pixels
+export function getFrameStats(pixels, width, height) {
+  const stride = Math.max(1, Math.floor(Math.sqrt((width * height) / 100000)));
+  let sum = 0;
+  let sumOfSquares = 0;
+  let count = 0;
+
+  for (let y = 0; y < height; y += stride) {
+    for (let x = 0; x < width; x += stride) {
+      const luminance = getLuminance(pixels, (y * width + x) * 3);
+      sum += luminance;
+      sumOfSquares += luminance * luminance;
+      count++;
+    }
+  }
+
+  const mean = sum / count;
+  return {
+    meanLuminance: mean,
+    luminanceStdDev: Math.sqrt(Math.max(0, sumOfSquares / count - mean * mean))
+  };
+}
+
+// Downscale a frame to a small luminance grid by averaging blocks of pixels
+export function getFrameThumbnail(pixels, width, height, thumbWidth = 64) {
+  const thumbHeight = Math.max(1, Math.round((thumbWidth * height) / width));
+  const values = new Float64Array(thumbWidth * thumbHeight);
+  const counts = new Uint32Array(thumbWidth * thumbHeight);
+  const stride = Math.max(1, Math.floor(width / (thumbWidth * 4)));
+
+  for (let y = 0; y < height; y += stride) {
+    const ty = Math.min(
+      Math.floor((y * thumbHeight) / height),
+      thumbHeight - 1
+    );
+    for (let x = 0; x < width; x += stride) {
+      const tx = Math.min(Math.floor((x * thumbWidth) / width), thumbWidth - 1);
+      values[ty * thumbWidth + tx] += getLuminance(pixels, (y * width + x) * 3);
+      counts[ty * thumbWidth + tx]++;
+    }
+  }
+
+  for (let i = 0; i < values.length; i++) {
+    values[i] /= counts[i] || 1;
+  }
+
+  return { width: thumbWidth, height: thumbHeight, values };
+}
+
+// Gradient magnitudes of a thumbnail, one row and column smaller than it
+export function getEdgeMap(thumb) {
+  const width = thumb.width - 1;
+  const height = thumb.height - 1;
+  const values = new Float64Array(Math.max(0, width * height));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * thumb.width + x;
+      values[y * width + x] = Math.hypot(
+        thumb.values[i + 1] - thumb.values[i],
+        thumb.values[i + thumb.width] - thumb.values[i]
+      );
+    }
+  }
+
+  return { width, height, values };
+}
+
+// Similarity (-1 to 1) of two thumbnails' edges, comparing gradient
+// magnitudes so that overall brightness changes matter less than structure
+export function getThumbnailSimilarity(a, b) {
+  if (a.width !== b.width || a.height !== b.height) {
+    return 0;
+  }
+
+  return getEdgeMapCorrelation(getEdgeMap(a), getEdgeMap(b));
+}
+
+// Pearson correlation of two edge maps. With a transform { scale, offsetX,
+// offsetY } (scale about the center, offsets in fractions of the frame), each
+// cell of `a` is compared with the cell of `b` it lands on; cells landing
+// outside `b` are ignored.
+export function getEdgeMapCorrelation(a, b, transform = null) {
+  const { scale = 1, offsetX = 0, offsetY = 0 } = transform || {};
+  let count = 0;
+  let sumA = 0;
+  let sumB = 0;
+  let sumAA = 0;
+  let sumBB = 0;
+  let sumAB = 0;
+
+  for (let y = 0; y < a.height; y++) {
+    const v = scale * ((y + 0.5) / a.height - 0.5) + 0.5 + offsetY;
+    const by = Math.floor(v * b.height);
+    if (by < 0 || by >= b.height) continue;
+
+    for (let x = 0; x < a.width; x++) {
+      const u = scale * ((x + 0.5) / a.width - 0.5) + 0.5 + offsetX;
+      const bx = Math.floor(u * b.width);
+      if (bx < 0 || bx >= b.width) continue;
+
+      const valueA = a.values[y * a.width + x];
+      const valueB = b.values[by * b.width + bx];
+      count++;
+      sumA += valueA;
+      sumB += valueB;
+      sumAA += valueA * valueA;
+      sumBB += valueB * valueB;
+      sumAB += valueA * valueB;
+    }
+  }
+
+  // Too little overlap to say anything
+  if (count < (a.width * a.height) / 2) {
+    return 0;
+  }
+
+  const covariance = sumAB - (sumA * sumB) / count;
+  const varianceA = sumAA - (sumA * sumA) / count;
+  const varianceB = sumBB - (sumB * sumB) / count;
+
+  return varianceA > 0 && varianceB > 0
+    ? covariance / Math.sqrt(varianceA * varianceB)
+    : 0;
+}
+
+// Find the transform that best lines the reference frame up with `frame`,
+// searching shifts up to settings.maxOffset and zoom changes up to
+// settings.maxScaleChange. A coarse grid search on small edge maps is refined
+// on larger ones.
+export function matchFrameToReference(reference, frame, settings) {
+  if (
+    Math.abs(reference.width / reference.height - frame.width / frame.height) >
+    0.01
+  ) {
+    throw new Error(
+      `Frame aspect ratio ${frame.width}x${frame.height} doesn't match the ${reference.width}x${reference.height} reference frame`
+    );
+  }
+
+  const edgeMaps = (thumbWidth) => [
+    getEdgeMap(
+      getFrameThumbnail(
+        reference.pixels,
+        reference.width,
+        reference.height,
+        thumbWidth
+      )
+    ),
+    getEdgeMap(
+      getFrameThumbnail(frame.pixels, frame.width, frame.height, thumbWidth)
+    )
+  ];
+
+  const search = ([a, b], scales, offsetsX, offsetsY) => {
+    let best = {
+      scale: 1,
+      offsetX: 0,
+      offsetY: 0,
+      score: -Infinity,
+      change: Infinity
+    };
+
+    for (const scale of scales) {
+      for (const offsetY of offsetsY) {
+        for (const offsetX of offsetsX) {
+          const score = getEdgeMapCorrelation(a, b, {
+            scale,
+            offsetX,
+            offsetY
+          });
+          // On a tie, prefer the transform closest to no change at all
+          const change =
+            Math.abs(scale - 1) + Math.abs(offsetX) + Math.abs(offsetY);
+          if (
+            score > best.score + 1e-6 ||
+            (score > best.score - 1e-6 && change < best.change)
+          ) {
+            best = { scale, offsetX, offsetY, score, change };
+          }
+        }
+      }
+    }
+
+    return best;
+  };
+
+  // Evenly spaced values from `center - range` to `center + range`
+  const steps = (center, range, step) => {
+    const values = [];
+    for (let value = -range; value <= range + 1e-9; value += step) {
+      values.push(center + value);
+    }
+    return values;
+  };
+
+  const coarseWidth = 96;
+  const coarse = search(
+    edgeMaps(coarseWidth),
+    steps(1, settings.maxScaleChange, 0.01),
+    steps(0, settings.maxOffset, 1 / coarseWidth),
+    steps(0, settings.maxOffset, 1 / coarseWidth)
+  );
+
+  // Snap to the fine grid so that no shift at all stays reachable
+  const fineWidth = 256;
+  const snap = (value) => Math.round(value * fineWidth) / fineWidth;
+  const fine = search(
+    edgeMaps(fineWidth),
+    steps(coarse.scale, 0.01, 0.0025),
+    steps(snap(coarse.offsetX), 1.5 / coarseWidth, 1 / fineWidth),
+    steps(snap(coarse.offsetY), 1.5 / coarseWidth, 1 / fineWidth)
+  );
+
+  return {
+    scale: round(fine.scale, 4),
+    offsetX: round(fine.offsetX, 4),
+    offsetY: round(fine.offsetY, 4),
+    score: round(fine.score, 3)
+  };
+}
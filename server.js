@@ -1,111 +1,449 @@
 import express from "express";
 import { execSync, spawn, exec } from "child_process";
 import fs from "fs";
+import crypto from "crypto";
 import path from "path";
 import cors from "cors";
 import { promisify } from "util";
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import { z } from "zod";
+import Database from "better-sqlite3";
+import { WebSocketServer } from "ws";
+import {
+  parseTimeKey,
+  formatTimeKey,
+  getSampleTimestamp,
+  getSlotKey,
+  getLocalDateString,
+  getNextDateString,
+  getMinutesOfDay,
+  getNextSlotTimestamp
+} from "./time.js";
+import {
+  getFrameStats,
+  getFrameThumbnail,
+  getThumbnailSimilarity,
+  matchFrameToReference
+} from "./frames.js";
 
 const execAsync = promisify(exec);
 
-// Load configuration
-const config = JSON.parse(fs.readFileSync("config.json", "utf8"));
+// Configuration: config.json is checked against configSchema at startup and
+// on every reload, so mistakes are reported up front instead of surfacing as
+// crashes at capture time. Sections not described here are passed through.
+// The schema is defined ahead of everything else so the file can be checked
+// before any location is built from it.
+const locationIdPattern = /^[a-z0-9][a-z0-9-]*$/;
 
-// Track if an update is currently in progress
-let updateInProgress = false;
+// Lookup modes for ?date=&time= requests. "exact" needs a sample filed under
+// that very slot, the others search a tolerance window around it.
+const lookupModes = ["exact", "nearest", "before", "after"];
+
+// Color extraction modes (see Color Extraction)
+const extractionModes = ["mean", "median", "kmeans", "trimmed-mean"];
+
+// Crop calibration modes (see Crop Calibration)
+const calibrationModes = ["off", "propose", "auto"];
+
+function readConfigFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    throw new Error(`Cannot read config file ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(
+      `Config file ${filePath} is not valid JSON: ${error.message}`
+    );
+  }
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const timezoneSchema = z.string().refine(isValidTimezone, (timezone) => ({
+  message: `Unknown timezone "${timezone}"`
+}));
+
+const sourceDetails = {
+  description: z.string().optional(),
+  publisher: z.string().optional(),
+  latitude: z.number().min(-90).max(90).optional(),
+  longitude: z.number().min(-180).max(180).optional(),
+  timeoutSeconds: z.number().positive().optional()
+};
+
+const streamSourceSchema = (type) =>
+  z
+    .object({ type: z.literal(type), url: z.string().url(), ...sourceDetails })
+    .passthrough();
+
+// One entry per key of frameSources
+const sourceSchema = z.discriminatedUnion("type", [
+  streamSourceSchema("youtube"),
+  streamSourceSchema("hls"),
+  streamSourceSchema("rtsp"),
+  z
+    .object({
+      type: z.literal("http-image"),
+      url: z.string().url(),
+      headers: z.record(z.string()).optional(),
+      ...sourceDetails
+    })
+    .passthrough(),
+  z
+    .object({
+      type: z.literal("file"),
+      path: z.string().min(1),
+      ...sourceDetails
+    })
+    .passthrough(),
+  z
+    .object({
+      type: z.literal("directory"),
+      path: z.string().min(1),
+      order: z.enum(["newest", "sequential"]).optional(),
+      ...sourceDetails
+    })
+    .passthrough()
+]);
+
+const extractionSchema = z
+  .object({
+    mode: z.enum(extractionModes).optional(),
+    paletteSize: z.number().int().positive().optional(),
+    trim: z.number().min(0).max(0.5).optional()
+  })
+  .passthrough();
+
+const cropRegionSchema = z
+  .object({
+    x: z.number().nonnegative(),
+    y: z.number().nonnegative(),
+    width: z.number().positive().optional(),
+    height: z.number().positive().optional(),
+    mask: z
+      .array(z.tuple([z.number(), z.number()]))
+      .min(3)
+      .optional(),
+    extraction: extractionSchema.optional()
+  })
+  .passthrough();
+
+const cropsSchema = z
+  .object({
+    units: z.enum(["pixels", "relative"]).optional(),
+    calibration: z
+      .object({
+        mode: z.enum(calibrationModes).optional(),
+        minScore: z.number().min(0).max(1).optional(),
+        maxOffset: z.number().min(0).max(0.5).optional(),
+        maxScaleChange: z.number().min(0).max(1).optional()
+      })
+      .passthrough()
+      .optional(),
+    extraction: extractionSchema.optional(),
+    dimensions: z
+      .object({
+        width: z.number().positive().optional(),
+        height: z.number().positive().optional()
+      })
+      .optional(),
+    coordinates: z
+      .record(cropRegionSchema)
+      .refine((coordinates) => Object.keys(coordinates).length > 0, {
+        message: "At least one crop region is required"
+      })
+  })
+  .passthrough()
+  .superRefine((crops, ctx) => {
+    const dimensions = crops.dimensions || {};
+
+    for (const [name, region] of Object.entries(crops.coordinates)) {
+      for (const key of ["width", "height"]) {
+        if (region[key] === undefined && dimensions[key] === undefined) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ["coordinates", name, key],
+            message: `Required unless crops.dimensions.${key} is set`
+          });
+        }
+      }
+
+      // Relative boxes are fractions of the frame and must stay inside it
+      if (crops.units === "relative") {
+        const width = region.width ?? dimensions.width;
+        const height = region.height ?? dimensions.height;
+
+        if (region.x + width > 1 || region.y + height > 1) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ["coordinates", name],
+            message: "Relative region extends past the edge of the frame"
+          });
+        }
+      }
+    }
+  });
+
+const cacheSchema = z
+  .object({
+    // Slots have to line up with the top of every hour, which the slot keys
+    // and DST handling in time.js rely on
+    updateIntervalMinutes: z
+      .number()
+      .int()
+      .positive()
+      .refine((minutes) => 60 % minutes === 0, {
+        message: "Must divide 60 evenly, e.g. 5, 10, 15, 20, 30 or 60"
+      }),
+    scheduler: z
+      .object({
+        enabled: z.boolean().optional(),
+        retry: z
+          .object({
+            maxAttempts: z.number().int().nonnegative().optional(),
+            initialDelaySeconds: z.number().positive().optional(),
+            maxDelaySeconds: z.number().positive().optional()
+          })
+          .optional()
+      })
+      .passthrough()
+      .optional()
+  })
+  .passthrough();
+
+const locationSettingsSchema = z
+  .object({
+    name: z.string().optional(),
+    timezone: timezoneSchema.optional(),
+    source: sourceSchema,
+    cache: cacheSchema.partial().optional(),
+    crops: cropsSchema,
+    archive: z.object({}).passthrough().optional(),
+    health: z.object({}).passthrough().optional()
+  })
+  .passthrough();
+
+const configSchema = z
+  .object({
+    id: z.string().regex(locationIdPattern).optional(),
+    port: z.number().int().min(1).max(65535).optional(),
+    dataDir: z.string().min(1).optional(),
+    timezone: timezoneSchema.optional(),
+    source: sourceSchema,
+    storage: z
+      .object({
+        type: z.enum(["filesystem", "sqlite"]).optional(),
+        path: z.string().min(1).optional()
+      })
+      .passthrough()
+      .optional(),
+    cache: cacheSchema,
+    lookup: z
+      .object({
+        mode: z.enum(lookupModes).optional(),
+        toleranceMinutes: z.number().nonnegative().optional()
+      })
+      .passthrough()
+      .optional(),
+    crops: cropsSchema,
+    jobs: z
+      .object({ maxEntries: z.number().int().positive().optional() })
+      .passthrough()
+      .optional(),
+    admin: z
+      .object({
+        token: z.string().optional(),
+        apiKeys: z
+          .array(
+            z.object({
+              name: z.string().min(1),
+              key: z.string().min(16, "API keys need at least 16 characters")
+            })
+          )
+          .optional()
+      })
+      .passthrough()
+      .optional(),
+    locations: z
+      .record(
+        z
+          .string()
+          .regex(
+            locationIdPattern,
+            "Location ids use lowercase letters, digits and dashes"
+          ),
+        locationSettingsSchema
+      )
+      .optional()
+  })
+  .passthrough()
+  .superRefine((candidate, ctx) => {
+    const defaultId = candidate.id || "default";
+
+    if (candidate.locations && candidate.locations[defaultId]) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["locations", defaultId],
+        message: `Location id "${defaultId}" is reserved for the default location`
+      });
+    }
+  });
+
+// Problems with a parsed config as "path: message" lines, empty when valid
+function validateConfig(candidate) {
+  const result = configSchema.safeParse(candidate);
+  if (result.success) return [];
+
+  return result.error.issues.map(
+    (issue) => `${issue.path.join(".") || "config"}: ${issue.message}`
+  );
+}
+
+// Load configuration. It is checked against configSchema before anything
+// else reads it, and can be reloaded while running (see Configuration).
+const configPath = path.resolve(process.env.CONFIG_PATH || "config.json");
+let config;
+try {
+  config = readConfigFile(configPath);
+
+  const problems = validateConfig(config);
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid configuration in ${configPath}:\n  ${problems.join("\n  ")}`
+    );
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Track which locations have an update in progress
+const updatesInProgress = new Set();
 
 const app = express();
-const port = 3113;
+// PORT and DATA_DIR override config.port and config.dataDir
+const port = Number(process.env.PORT || config.port || 3113);
 
 // Enable CORS for all origins
 app.use(cors());
 
 // Create data directory if it doesn't exist
-const dataDir = path.join(process.cwd(), "data");
+const dataDir = path.resolve(process.env.DATA_DIR || config.dataDir || "data");
 if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir);
+  fs.mkdirSync(dataDir, { recursive: true });
   console.log("Created data directory");
 }
 
-async function getFrameData() {
-  try {
-    // Step 1: Get direct video URL from yt-dlp
-    const { stdout: videoUrl } = await execAsync(
-      `yt-dlp -g "${config.source.url}"`,
-      {
-        encoding: "utf8"
-      }
+// Locations: the top-level source/cache/crops in config.json describe the
+// default location, which keeps writing to data/ directly. Additional cameras
+// listed under config.locations get their own subtree in data/locations/<id>/.
+const defaultLocationId = config.id || "default";
+
+function buildLocation(id, settings, locationDataDir) {
+  if (!locationIdPattern.test(id)) {
+    throw new Error(
+      `Invalid location id "${id}". Use lowercase letters, digits and dashes.`
     );
-    const trimmedVideoUrl = videoUrl.trim();
+  }
 
-    console.log("Video stream URL:", trimmedVideoUrl);
+  return {
+    id,
+    name: settings.name || settings.source.description || id,
+    source: settings.source,
+    timezone: settings.timezone || config.timezone || "America/New_York",
+    cache: { ...config.cache, ...settings.cache },
+    crops: settings.crops,
+    archive: { ...config.archive, ...settings.archive },
+    health: { ...config.health, ...settings.health },
+    dataDir: locationDataDir
+  };
+}
 
-    // Step 2: Run ffmpeg to capture one frame and pipe raw image data to stdout
-    return await new Promise((resolve, reject) => {
-      const ffmpeg = spawn("ffmpeg", [
-        "-y",
-        "-i",
-        trimmedVideoUrl,
-        "-vframes",
-        "1",
-        "-f",
-        "image2pipe", // output an image to a pipe
-        "-vcodec",
-        "png", // output as PNG
-        "pipe:1" // stdout
-      ]);
+function getLocations() {
+  const locations = [buildLocation(defaultLocationId, config, dataDir)];
 
-      let chunks = [];
+  for (const [id, settings] of Object.entries(config.locations || {})) {
+    if (id === defaultLocationId) {
+      throw new Error(
+        `Location id "${id}" is reserved for the default location`
+      );
+    }
+    locations.push(
+      buildLocation(id, settings, path.join(dataDir, "locations", id))
+    );
+  }
 
-      ffmpeg.stdout.on("data", (chunk) => {
-        chunks.push(chunk);
-      });
+  return locations;
+}
 
-      ffmpeg.stderr.on("data", (err) => {
-        // ffmpeg logs to stderr, uncomment if debugging
-        // console.error("ffmpeg:", err.toString());
-      });
+function getDefaultLocation() {
+  return getLocations()[0];
+}
 
-      ffmpeg.on("close", (code) => {
-        if (code === 0) {
-          resolve(Buffer.concat(chunks));
-        } else {
-          reject(new Error(`ffmpeg exited with ${code}`));
-        }
-      });
+function getLocation(id) {
+  return getLocations().find((location) => location.id === id) || null;
+}
+
+// Resolve the optional ?location= query parameter, sending a 404 if it is unknown
+function getRequestedLocation(req, res) {
+  const id = req.query.location;
+
+  if (!id) {
+    return getDefaultLocation();
+  }
+
+  const location = getLocation(id);
+
+  if (!location) {
+    res.status(404).json({
+      error: "Unknown location",
+      message: `No location with id "${id}"`,
+      availableLocations: getLocations().map((l) => l.id)
     });
-  } catch (err) {
-    console.error("Error:", err);
-    throw err;
+    return null;
   }
+
+  return location;
 }
 
-async function getCroppedSection(
-  imageBuffer,
-  x,
-  y,
-  width = config.crops.dimensions.width,
-  height = config.crops.dimensions.height
-) {
-  return await new Promise((resolve, reject) => {
-    const ffmpeg = spawn("ffmpeg", [
-      "-y",
-      "-f",
-      "image2pipe",
-      "-i",
-      "pipe:0", // read from stdin
-      "-vf",
-      `crop=${width}:${height}:${x}:${y}`, // crop filter: width:height:x:y
-      "-f",
-      "image2pipe",
-      "-vcodec",
-      "png",
-      "pipe:1"
-    ]);
+// Create data directories for additional locations, at startup and for
+// locations added by a config reload
+function createLocationDataDirs() {
+  for (const location of getLocations()) {
+    if (!fs.existsSync(location.dataDir)) {
+      fs.mkdirSync(location.dataDir, { recursive: true });
+      console.log(`Created data directory for location ${location.id}`);
+    }
+  }
+}
+
+createLocationDataDirs();
+
+// Run ffmpeg with the given arguments, optionally piping a buffer to stdin,
+// and resolve with everything it writes to stdout. A run that takes longer
+// than `timeoutMs` is killed, so a stalled stream can't hold up captures.
+function runFfmpeg(args, input, label = "ffmpeg", timeoutMs = 60000) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn("ffmpeg", args);
 
     let chunks = [];
+    const timer = setTimeout(() => {
+      ffmpeg.kill("SIGKILL");
+      reject(new Error(`${label} timed out after ${timeoutMs / 1000}s`));
+    }, timeoutMs);
 
     ffmpeg.stdout.on("data", (chunk) => {
       chunks.push(chunk);
@@ -113,1051 +451,6414 @@ async function getCroppedSection(
 
     ffmpeg.stderr.on("data", (err) => {
       // ffmpeg logs to stderr, uncomment if debugging
-      // console.error("ffmpeg crop:", err.toString());
+      // console.error(`${label}:`, err.toString());
+    });
+
+    ffmpeg.on("error", (err) => {
+      clearTimeout(timer);
+      reject(new Error(`${label} failed to start: ${err.message}`));
     });
 
     ffmpeg.on("close", (code) => {
+      clearTimeout(timer);
+
       if (code === 0) {
         resolve(Buffer.concat(chunks));
       } else {
-        reject(new Error(`ffmpeg crop exited with ${code}`));
+        reject(new Error(`${label} exited with ${code}`));
       }
     });
 
-    // Write the image buffer to ffmpeg's stdin
-    ffmpeg.stdin.write(imageBuffer);
+    // A killed ffmpeg closes its stdin; the failure is reported on close
+    ffmpeg.stdin.on("error", () => {});
+
+    if (input) {
+      // Write the image buffer to ffmpeg's stdin
+      ffmpeg.stdin.write(input);
+    }
     ffmpeg.stdin.end();
   });
 }
 
-function formatTimeRemaining(milliseconds) {
-  if (milliseconds <= 0) return "overdue";
-
-  const totalSeconds = Math.floor(milliseconds / 1000);
-  const minutes = Math.ceil(totalSeconds / 60);
-
-  if (minutes > 0) {
-    return "Next update in " + minutes + " minute" + (minutes !== 1 ? "s" : "");
-  } else {
-    return "Next update in less than a minute";
-  }
+// Capture one frame from a video stream URL as PNG
+async function captureStreamFrame(streamUrl, inputArgs = [], timeoutMs) {
+  return await runFfmpeg(
+    [
+      "-y",
+      ...inputArgs,
+      "-i",
+      streamUrl,
+      "-vframes",
+      "1",
+      "-f",
+      "image2pipe", // output an image to a pipe
+      "-vcodec",
+      "png", // output as PNG
+      "pipe:1" // stdout
+    ],
+    null,
+    "ffmpeg",
+    timeoutMs
+  );
 }
 
-function getLatestColorData() {
-  try {
-    // Get all date folders and sort by newest first
-    const dateFolders = fs
-      .readdirSync(dataDir)
-      .filter((item) => {
-        const itemPath = path.join(dataDir, item);
-        return (
-          fs.statSync(itemPath).isDirectory() &&
-          /^\d{4}-\d{2}-\d{2}$/.test(item)
-        );
-      })
-      .sort((a, b) => b.localeCompare(a)); // Sort dates descending
-
-    if (dateFolders.length === 0) {
-      return null;
-    }
+function isPng(imageBuffer) {
+  return (
+    imageBuffer.length > 24 &&
+    imageBuffer.readUInt32BE(0) === 0x89504e47 &&
+    imageBuffer.readUInt32BE(4) === 0x0d0a1a0a
+  );
+}
 
-    // Look through date folders starting with the most recent
-    for (const dateFolder of dateFolders) {
-      const dateFolderPath = path.join(dataDir, dateFolder);
+// Convert any image ffmpeg can read (JPEG, WebP, ...) to PNG
+async function convertToPng(imageBuffer) {
+  if (isPng(imageBuffer)) {
+    return imageBuffer;
+  }
 
-      // Get all time files in this date folder
-      const timeFiles = fs
-        .readdirSync(dateFolderPath)
-        .filter(
-          (file) => file.endsWith(".json") && /^\d{2}-\d{2}\.json$/.test(file)
-        )
-        .sort((a, b) => b.localeCompare(a)); // Sort times descending
-
-      if (timeFiles.length > 0) {
-        // Read the most recent time file
-        const latestTimeFile = timeFiles[0];
-        const filePath = path.join(dateFolderPath, latestTimeFile);
-        const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
-
-        // Create timestamp from date folder and time filename (NYC timezone)
-        const dateStr = dateFolder; // YYYY-MM-DD
-        const timeStr = latestTimeFile.replace(".json", "").replace("-", ":"); // HH:MM
-
-        // The file represents NYC time, so we need to convert it to a proper UTC timestamp
-        // Parse the date components
-        const [year, month, day] = dateStr.split("-").map(Number);
-        const [hour, minute] = timeStr.split(":").map(Number);
-
-        // Create a date object representing this time in NYC
-        // We'll use a reference approach: create the date as if it's UTC, then adjust
-        const utcDate = new Date(
-          Date.UTC(year, month - 1, day, hour, minute, 0)
-        );
+  return await runFfmpeg(
+    [
+      "-y",
+      "-f",
+      "image2pipe",
+      "-i",
+      "pipe:0", // read from stdin
+      "-vframes",
+      "1",
+      "-f",
+      "image2pipe",
+      "-vcodec",
+      "png",
+      "pipe:1"
+    ],
+    imageBuffer,
+    "ffmpeg convert"
+  );
+}
 
-        // Now we need to adjust for NYC timezone offset
-        // Get the current NYC offset (this handles DST automatically)
-        const testDate = new Date(year, month - 1, day);
-        const nycTestTime = testDate.toLocaleString("en-US", {
-          timeZone: "America/New_York"
-        });
-        const utcTestTime = testDate.toLocaleString("en-US", {
-          timeZone: "UTC"
-        });
-        const nycOffset =
-          new Date(utcTestTime).getTime() - new Date(nycTestTime).getTime();
+// Read width and height from a PNG's IHDR chunk
+function getImageDimensions(imageBuffer) {
+  if (!isPng(imageBuffer)) {
+    throw new Error("Frame is not a PNG image");
+  }
 
-        // The timestamp should represent the NYC time converted to UTC
-        const timestamp = utcDate.getTime() + nycOffset;
+  return {
+    width: imageBuffer.readUInt32BE(16),
+    height: imageBuffer.readUInt32BE(20)
+  };
+}
 
-        return {
-          colors: data,
-          timestamp
-        };
-      }
-    }
+const imageExtensions = [".png", ".jpg", ".jpeg", ".webp", ".bmp"];
 
-    return null;
-  } catch (error) {
-    console.error("Error reading color data:", error);
-    return null;
+// Resolve a local source path relative to the working directory (like config.json)
+function resolveSourcePath(source) {
+  if (!source.path) {
+    throw new Error(`Source type "${source.type}" requires a "path"`);
   }
+  return path.resolve(process.cwd(), source.path);
 }
 
-function getColorDataForDateTime(dateStr, timeStr) {
-  try {
-    // Validate date format (YYYY-MM-DD)
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-      throw new Error("Invalid date format. Expected YYYY-MM-DD");
-    }
+// Position of the next frame to replay for "directory" sources in sequential order
+const directorySourceCursors = new Map();
 
-    // Validate time format (H:MM or HH:MM)
-    if (!/^\d{1,2}:\d{2}$/.test(timeStr)) {
-      throw new Error("Invalid time format. Expected H:MM or HH:MM");
-    }
+// How long each network call of a frame source (yt-dlp, ffmpeg reading the
+// stream, the snapshot request) may take before the capture fails
+function getSourceTimeout(source) {
+  return (source.timeoutSeconds ?? 30) * 1000;
+}
 
-    // Normalize time to HH:MM format (pad single digit hours)
-    const timeParts = timeStr.split(":");
-    const normalizedTimeStr =
-      timeParts[0].padStart(2, "0") + ":" + timeParts[1];
+// Frame sources keyed by config.source.type. Each resolves with a PNG buffer,
+// and may time its own steps on the capture job it is given.
+const frameSources = {
+  // YouTube live stream: resolve the direct stream URL with yt-dlp first
+  youtube: async (source, job) => {
+    const timeoutMs = getSourceTimeout(source);
+    const { stdout: videoUrl } = await runStep(job, "yt-dlp", async () => {
+      try {
+        return await execAsync(`yt-dlp -g "${source.url}"`, {
+          encoding: "utf8",
+          timeout: timeoutMs
+        });
+      } catch (error) {
+        if (error.killed) {
+          throw new Error(`yt-dlp timed out after ${timeoutMs / 1000}s`);
+        }
+        throw error;
+      }
+    });
+    const trimmedVideoUrl = videoUrl.trim();
 
-    // Check if date folder exists
-    const dateFolderPath = path.join(dataDir, dateStr);
-    if (!fs.existsSync(dateFolderPath)) {
-      throw new Error(`No data available for date ${dateStr}`);
-    }
+    console.log("Video stream URL:", trimmedVideoUrl);
 
-    // Convert normalized time to filename format (HH-MM.json)
-    const timeFilename = normalizedTimeStr.replace(":", "-") + ".json";
-    const filePath = path.join(dateFolderPath, timeFilename);
+    return await captureStreamFrame(trimmedVideoUrl, [], timeoutMs);
+  },
+
+  // HLS playlist passed straight to ffmpeg
+  hls: async (source) =>
+    await captureStreamFrame(source.url, [], getSourceTimeout(source)),
+
+  // RTSP camera, over TCP to avoid dropped UDP packets smearing the frame
+  rtsp: async (source) =>
+    await captureStreamFrame(
+      source.url,
+      ["-rtsp_transport", "tcp"],
+      getSourceTimeout(source)
+    ),
+
+  // Webcam that publishes a still JPEG snapshot
+  "http-image": async (source) => {
+    // The timeout covers reading the body too
+    const response = await fetch(source.url, {
+      headers: source.headers,
+      signal: AbortSignal.timeout(getSourceTimeout(source))
+    });
 
-    // Check if time file exists
-    if (!fs.existsSync(filePath)) {
+    if (!response.ok) {
       throw new Error(
-        `No data available for ${dateStr} at ${normalizedTimeStr}`
+        `Snapshot request failed with ${response.status} ${response.statusText}`
       );
     }
 
-    // Read the color data
-    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
-
-    // Create timestamp from date and normalized time (NYC timezone)
-    const [year, month, day] = dateStr.split("-").map(Number);
-    const [hour, minute] = normalizedTimeStr.split(":").map(Number);
-
-    // Create a date object representing this time in NYC
-    const utcDate = new Date(Date.UTC(year, month - 1, day, hour, minute, 0));
+    const imageBuffer = Buffer.from(await response.arrayBuffer());
+    return await convertToPng(imageBuffer);
+  },
 
-    // Adjust for NYC timezone offset
-    const testDate = new Date(year, month - 1, day);
-    const nycTestTime = testDate.toLocaleString("en-US", {
-      timeZone: "America/New_York"
-    });
-    const utcTestTime = testDate.toLocaleString("en-US", {
-      timeZone: "UTC"
-    });
-    const nycOffset =
-      new Date(utcTestTime).getTime() - new Date(nycTestTime).getTime();
+  // Single local image file
+  file: async (source) => {
+    const filePath = resolveSourcePath(source);
+    return await convertToPng(fs.readFileSync(filePath));
+  },
 
-    const timestamp = utcDate.getTime() + nycOffset;
-
-    return {
-      colors: data,
-      timestamp
-    };
-  } catch (error) {
-    console.error("Error reading color data for specific date/time:", error);
-    throw error;
-  }
-}
+  // Directory of local images, either the newest one or replayed in name order
+  directory: async (source) => {
+    const directoryPath = resolveSourcePath(source);
 
-function getAllColorDataForDate(dateStr) {
-  try {
-    // Validate date format (YYYY-MM-DD)
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-      throw new Error("Invalid date format. Expected YYYY-MM-DD");
-    }
+    const imageFiles = fs
+      .readdirSync(directoryPath)
+      .filter((file) =>
+        imageExtensions.includes(path.extname(file).toLowerCase())
+      )
+      .sort((a, b) => a.localeCompare(b));
 
-    // Check if date folder exists
-    const dateFolderPath = path.join(dataDir, dateStr);
-    if (!fs.existsSync(dateFolderPath)) {
-      throw new Error(`No data available for date ${dateStr}`);
+    if (imageFiles.length === 0) {
+      throw new Error(`No images found in ${directoryPath}`);
     }
 
-    // Get all time files in this date folder
-    const timeFiles = fs
-      .readdirSync(dateFolderPath)
-      .filter(
-        (file) => file.endsWith(".json") && /^\d{2}-\d{2}\.json$/.test(file)
-      )
-      .sort((a, b) => a.localeCompare(b)); // Sort times ascending
+    let imageFile;
 
-    if (timeFiles.length === 0) {
-      throw new Error(`No color data files found for date ${dateStr}`);
+    if (source.order === "sequential") {
+      const cursor = directorySourceCursors.get(directoryPath) || 0;
+      imageFile = imageFiles[cursor % imageFiles.length];
+      directorySourceCursors.set(directoryPath, cursor + 1);
+    } else {
+      imageFile = imageFiles
+        .map((file) => ({
+          file,
+          mtime: fs.statSync(path.join(directoryPath, file)).mtimeMs
+        }))
+        .sort((a, b) => b.mtime - a.mtime)[0].file;
     }
 
-    // Read all color data files for this date
-    const allColorData = [];
+    console.log("Reading frame from", path.join(directoryPath, imageFile));
 
-    for (const timeFile of timeFiles) {
-      const filePath = path.join(dateFolderPath, timeFile);
-      const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return await convertToPng(
+      fs.readFileSync(path.join(directoryPath, imageFile))
+    );
+  }
+};
 
-      // Extract time from filename (HH-MM.json -> HH:MM)
-      const timeStr = timeFile.replace(".json", "").replace("-", ":");
+async function getFrameData(source = config.source, job = null) {
+  const frameSource = frameSources[source.type];
 
-      // Create timestamp from date and time (NYC timezone)
-      const [year, month, day] = dateStr.split("-").map(Number);
-      const [hour, minute] = timeStr.split(":").map(Number);
+  if (!frameSource) {
+    throw new Error(
+      `Unknown source type "${source.type}". Expected one of: ${Object.keys(
+        frameSources
+      ).join(", ")}`
+    );
+  }
 
-      // Create a date object representing this time in NYC
-      const utcDate = new Date(Date.UTC(year, month - 1, day, hour, minute, 0));
+  // Errors are logged by the caller, which knows what the frame was for
+  return await frameSource(source, job);
+}
 
-      // Adjust for NYC timezone offset
-      const testDate = new Date(year, month - 1, day);
-      const nycTestTime = testDate.toLocaleString("en-US", {
-        timeZone: "America/New_York"
-      });
-      const utcTestTime = testDate.toLocaleString("en-US", {
-        timeZone: "UTC"
-      });
-      const nycOffset =
-        new Date(utcTestTime).getTime() - new Date(nycTestTime).getTime();
+// Crop regions for a location, in config order, as pixel boxes in a frame of
+// the given size. Each entry in crops.coordinates may override the default
+// crops.dimensions and add a polygon mask (points relative to the region's
+// top-left corner) for skyline-shaped areas.
+//
+// With crops.units = "relative", positions and sizes are fractions of the
+// frame (and mask points fractions of the region), so they survive resolution
+// changes. A calibration transform (see Crop calibration) moves and scales
+// every region to follow the camera; pixel coordinates are then taken to be
+// in the reference frame the transform was measured against.
+function getCropRegions(location, frameWidth, frameHeight, transform = null) {
+  const { dimensions = {}, coordinates, units = "pixels" } = location.crops;
+  const relative = units === "relative";
+
+  // Size of the frame the coordinates were written for
+  const sourceWidth = relative
+    ? 1
+    : transform
+      ? transform.reference.width
+      : frameWidth;
+  const sourceHeight = relative
+    ? 1
+    : transform
+      ? transform.reference.height
+      : frameHeight;
+
+  const { scale = 1, offsetX = 0, offsetY = 0 } = transform || {};
+
+  return Object.entries(coordinates).map(([name, region]) => {
+    const width = region.width ?? dimensions.width;
+    const height = region.height ?? dimensions.height;
+
+    // Box in fractions of the frame, scaled about the frame's center
+    const u = scale * (region.x / sourceWidth - 0.5) + 0.5 + offsetX;
+    const v = scale * (region.y / sourceHeight - 0.5) + 0.5 + offsetY;
+    const box = {
+      x: Math.round(u * frameWidth),
+      y: Math.round(v * frameHeight),
+      width: Math.round(((scale * width) / sourceWidth) * frameWidth),
+      height: Math.round(((scale * height) / sourceHeight) * frameHeight)
+    };
 
-      const timestamp = utcDate.getTime() + nycOffset;
+    const maskScaleX = box.width / (relative ? 1 : width);
+    const maskScaleY = box.height / (relative ? 1 : height);
 
-      allColorData.push({
-        time: timeStr,
-        colors: data,
-        timestamp
-      });
-    }
+    return {
+      name,
+      ...box,
+      mask: region.mask
+        ? region.mask.map(([x, y]) => [x * maskScaleX, y * maskScaleY])
+        : null,
+      extraction: region.extraction || {}
+    };
+  });
+}
 
-    return allColorData;
-  } catch (error) {
-    console.error("Error reading all color data for date:", error);
-    throw error;
-  }
-}
-
-async function getDominantColor(imageBuffer) {
-  return await new Promise((resolve, reject) => {
-    const ffmpeg = spawn("ffmpeg", [
+async function getCroppedSection(
+  imageBuffer,
+  x,
+  y,
+  width = config.crops.dimensions.width,
+  height = config.crops.dimensions.height
+) {
+  return await runFfmpeg(
+    [
       "-y",
       "-f",
       "image2pipe",
       "-i",
       "pipe:0", // read from stdin
       "-vf",
-      "scale=1:1", // scale to 1x1 pixel to get average color
+      `crop=${width}:${height}:${x}:${y}`, // crop filter: width:height:x:y
       "-f",
-      "rawvideo",
-      "-pix_fmt",
-      "rgb24",
+      "image2pipe",
+      "-vcodec",
+      "png",
       "pipe:1"
-    ]);
+    ],
+    imageBuffer,
+    "ffmpeg crop"
+  );
+}
 
-    let chunks = [];
+function formatTimeRemaining(milliseconds) {
+  if (milliseconds <= 0) return "overdue";
 
-    ffmpeg.stdout.on("data", (chunk) => {
-      chunks.push(chunk);
-    });
+  const totalSeconds = Math.floor(milliseconds / 1000);
+  const minutes = Math.ceil(totalSeconds / 60);
 
-    ffmpeg.stderr.on("data", (err) => {
-      // ffmpeg logs to stderr, uncomment if debugging
-      // console.error("ffmpeg color:", err.toString());
-    });
+  if (minutes > 0) {
+    return "Next update in " + minutes + " minute" + (minutes !== 1 ? "s" : "");
+  } else {
+    return "Next update in less than a minute";
+  }
+}
 
-    ffmpeg.on("close", (code) => {
-      if (code === 0) {
-        const buffer = Buffer.concat(chunks);
-        if (buffer.length >= 3) {
-          const r = buffer[0];
-          const g = buffer[1];
-          const b = buffer[2];
-          const hex = `#${r.toString(16).padStart(2, "0")}${g
-            .toString(16)
-            .padStart(2, "0")}${b.toString(16).padStart(2, "0")}`;
-          resolve(hex);
-        } else {
-          reject(new Error("Invalid color data"));
-        }
-      } else {
-        reject(new Error(`ffmpeg color extraction exited with ${code}`));
-      }
-    });
+// Read a stored sample. Older files hold only the { direction: hex } map,
+// newer ones wrap it as { colors, extraction }.
+function readSampleFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
 
-    // Write the image buffer to ffmpeg's stdin
-    ffmpeg.stdin.write(imageBuffer);
-    ffmpeg.stdin.end();
-  });
+  if (data.colors && typeof data.colors === "object") {
+    return data;
+  }
+
+  return { colors: data };
 }
 
-async function updateCacheFiles() {
-  if (updateInProgress) {
-    console.log("Update already in progress, skipping...");
-    return;
+// Storage backends. Each location gets a storage object with the same
+// interface, working in local dates (YYYY-MM-DD) and time keys (HH:MM, or
+// HH:MMb in the second pass through a repeated hour):
+//
+//   hasDate(date)             -> boolean
+//   listDates()               -> [{ date, times: [time, ...] }], newest first
+//   getSample(date, time)     -> sample or null
+//   getSamplesForDate(date)   -> [{ date, time, sample }], oldest first
+//   getLatestSample()         -> { date, time, sample } or null
+//   getRecentSamples(days)    -> [{ date, time, sample }] for the newest `days` dates
+//   getSamplesInRange(from, to) -> [{ date, time, sample, timestamp }] between two
+//                                  UTC timestamps (inclusive), oldest first
+//   saveSample(date, time, sample)
+//
+// "filesystem" keeps the data/YYYY-MM-DD/HH-MM[b].json layout, "sqlite" stores
+// samples in one indexed table shared by all locations.
+
+// Storage settings, with defaults for anything missing from config.json
+function getStorageConfig() {
+  const storage = config.storage || {};
+  const type = storage.type || "filesystem";
+
+  if (!["filesystem", "sqlite"].includes(type)) {
+    throw new Error(
+      `Unknown storage type "${type}". Expected filesystem or sqlite`
+    );
   }
 
-  updateInProgress = true;
-  console.log("Updating cache files...");
+  return {
+    type,
+    path: storage.path
+      ? path.resolve(process.cwd(), storage.path)
+      : path.join(dataDir, "sky-colors.db")
+  };
+}
 
-  try {
-    // Step 1: Get the full frame image once
-    console.log("Getting full frame image...");
-    const imageBuffer = await getFrameData();
-    console.log("Got full frame buffer:", imageBuffer.length, "bytes");
+function createFileStorage(location) {
+  const listDateFolders = () =>
+    fs
+      .readdirSync(location.dataDir)
+      .filter((item) => {
+        const itemPath = path.join(location.dataDir, item);
+        return (
+          /^\d{4}-\d{2}-\d{2}$/.test(item) &&
+          fs.statSync(itemPath).isDirectory()
+        );
+      })
+      .sort((a, b) => b.localeCompare(a)); // Sort dates descending
 
-    // Step 2: Get video dimensions to calculate crop positions
-    const { stdout: videoUrlOutput } = await execAsync(
-      `yt-dlp -g "${config.source.url}"`,
-      {
-        encoding: "utf8"
-      }
-    );
-    const videoUrl = videoUrlOutput.trim();
+  // Times with a sample file for a date, in the order they were taken
+  const listTimes = (date) =>
+    fs
+      .readdirSync(path.join(location.dataDir, date))
+      .filter((file) => /^\d{2}-\d{2}b?\.json$/.test(file))
+      .map((file) => file.replace(".json", "").replace("-", ":"))
+      .sort(
+        (a, b) =>
+          getSampleTimestamp(location, date, a) -
+          getSampleTimestamp(location, date, b)
+      );
 
-    const { stdout: videoInfo } = await execAsync(
-      `ffprobe -v quiet -print_format json -show_streams "${videoUrl}"`,
-      { encoding: "utf8" }
-    );
+  const getSamplePath = (date, time) =>
+    path.join(location.dataDir, date, time.replace(":", "-") + ".json");
 
-    const streams = JSON.parse(videoInfo).streams;
-    const videoStream = streams.find((s) => s.codec_type === "video");
-    const width = videoStream.width;
-    const height = videoStream.height;
+  const readSamples = (date) =>
+    listTimes(date).map((time) => ({
+      date,
+      time,
+      sample: readSampleFile(getSamplePath(date, time))
+    }));
 
-    console.log(`Video dimensions: ${width}x${height}`);
+  return {
+    type: "filesystem",
 
-    // Step 3: Get crop coordinates from config
-    const cropCoordinates = config.crops.coordinates;
+    hasDate: (date) => fs.existsSync(path.join(location.dataDir, date)),
 
-    // Step 4: Crop four sections from the single image
-    console.log("Creating crops from single image...");
-    const [westCrop, northWestCrop, northEastCrop, eastCrop] =
-      await Promise.all([
-        getCroppedSection(
-          imageBuffer,
-          cropCoordinates.west.x,
-          cropCoordinates.west.y
-        ),
-        getCroppedSection(
-          imageBuffer,
-          cropCoordinates["north-west"].x,
-          cropCoordinates["north-west"].y
-        ),
-        getCroppedSection(
-          imageBuffer,
-          cropCoordinates["north-east"].x,
-          cropCoordinates["north-east"].y
-        ),
-        getCroppedSection(
-          imageBuffer,
-          cropCoordinates.east.x,
-          cropCoordinates.east.y
-        )
-      ]);
+    listDates: () =>
+      listDateFolders()
+        .map((date) => ({ date, times: listTimes(date) }))
+        .filter((entry) => entry.times.length > 0),
 
-    console.log("All crops completed, extracting colors...");
+    getSample: (date, time) => {
+      const filePath = getSamplePath(date, time);
+      return fs.existsSync(filePath) ? readSampleFile(filePath) : null;
+    },
 
-    // Step 5: Extract dominant colors from each crop
-    const [westColor, northWestColor, northEastColor, eastColor] =
-      await Promise.all([
-        getDominantColor(westCrop),
-        getDominantColor(northWestCrop),
-        getDominantColor(northEastCrop),
-        getDominantColor(eastCrop)
-      ]);
+    getSamplesForDate: (date) => readSamples(date),
 
-    console.log("Colors extracted:", {
-      westColor,
-      northWestColor,
-      northEastColor,
-      eastColor
-    });
+    getLatestSample: () => {
+      // Look through date folders starting with the most recent
+      for (const date of listDateFolders()) {
+        const times = listTimes(date);
 
-    // Step 6: Save timestamped JSON file with colors
-    const now = new Date();
-    // Get NYC date and time components separately
-    const nycDate = now.toLocaleDateString("en-US", {
-      timeZone: "America/New_York",
-      year: "numeric",
-      month: "2-digit",
-      day: "2-digit"
-    }); // Returns "MM/DD/YYYY"
+        if (times.length > 0) {
+          const time = times[times.length - 1];
+          return {
+            date,
+            time,
+            sample: readSampleFile(getSamplePath(date, time))
+          };
+        }
+      }
 
-    const nycTime = now.toLocaleTimeString("en-US", {
-      timeZone: "America/New_York",
-      hour: "2-digit",
-      minute: "2-digit",
-      hour12: false
-    }); // Returns "HH:MM"
-
-    // Convert MM/DD/YYYY to YYYY-MM-DD
-    const [month, day, year] = nycDate.split("/");
-    const dateFolder = `${year}-${month}-${day}`;
-    const timeFilename = nycTime.replace(":", "-") + ".json"; // HH-MM.json
-
-    const colorData = {
-      west: westColor,
-      "north-west": northWestColor,
-      "north-east": northEastColor,
-      east: eastColor
-    };
+      return null;
+    },
+
+    getSamplesInRange: (from, to) => {
+      // Samples are filed under their local date, so only those folders can match
+      const fromDate = getLocalDateString(from, location.timezone);
+      const toDate = getLocalDateString(to, location.timezone);
+
+      return listDateFolders()
+        .filter((date) => date >= fromDate && date <= toDate)
+        .reverse()
+        .flatMap((date) => readSamples(date))
+        .map((entry) => ({
+          ...entry,
+          timestamp: getSampleTimestamp(location, entry.date, entry.time)
+        }))
+        .filter((entry) => entry.timestamp >= from && entry.timestamp <= to)
+        .sort((a, b) => a.timestamp - b.timestamp);
+    },
+
+    getRecentSamples: (days) => {
+      const samples = [];
+
+      for (const date of listDateFolders().slice(0, days)) {
+        try {
+          samples.push(...readSamples(date));
+        } catch (error) {
+          console.error(`Error reading date folder ${date}:`, error);
+        }
+      }
+
+      return samples;
+    },
+
+    saveSample: (date, time, sample) => {
+      // Create date folder if it doesn't exist
+      const dateFolderPath = path.join(location.dataDir, date);
+      if (!fs.existsSync(dateFolderPath)) {
+        fs.mkdirSync(dateFolderPath, { recursive: true });
+        console.log(`Created date folder: ${date}`);
+      }
 
-    // Create date folder if it doesn't exist
-    const dateFolderPath = path.join(dataDir, dateFolder);
-    if (!fs.existsSync(dateFolderPath)) {
-      fs.mkdirSync(dateFolderPath, { recursive: true });
-      console.log(`Created date folder: ${dateFolder}`);
+      fs.writeFileSync(
+        getSamplePath(date, time),
+        JSON.stringify(sample, null, 2)
+      );
     }
+  };
+}
 
-    const filePath = path.join(dateFolderPath, timeFilename);
-    fs.writeFileSync(filePath, JSON.stringify(colorData, null, 2));
-    console.log(`Saved color data to ${dateFolder}/${timeFilename}`);
+// One SQLite connection shared by every location
+let sqliteDatabase = null;
+
+function openSqliteDatabase() {
+  if (!sqliteDatabase) {
+    const { path: databasePath } = getStorageConfig();
+
+    sqliteDatabase = new Database(databasePath);
+    sqliteDatabase.pragma("journal_mode = WAL");
+    sqliteDatabase.exec(`
+      CREATE TABLE IF NOT EXISTS samples (
+        location TEXT NOT NULL,
+        date TEXT NOT NULL,
+        time TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (location, date, time)
+      );
+      CREATE INDEX IF NOT EXISTS samples_location_timestamp
+        ON samples (location, timestamp);
+    `);
 
-    console.log("Cache update completed successfully");
-  } catch (err) {
-    console.error("Error updating cache files:", err);
-    throw err;
-  } finally {
-    updateInProgress = false;
+    console.log(`Opened SQLite storage at ${databasePath}`);
   }
+
+  return sqliteDatabase;
 }
 
-async function getCachedData() {
-  // Get the latest color data
-  const latestData = getLatestColorData();
+function createSqliteStorage(location) {
+  const db = openSqliteDatabase();
+
+  const statements = {
+    hasDate: db.prepare(
+      "SELECT 1 FROM samples WHERE location = ? AND date = ? LIMIT 1"
+    ),
+    listDates: db.prepare(
+      "SELECT date, time FROM samples WHERE location = ? ORDER BY date DESC, timestamp ASC"
+    ),
+    getSample: db.prepare(
+      "SELECT data FROM samples WHERE location = ? AND date = ? AND time = ?"
+    ),
+    getSamplesForDate: db.prepare(
+      "SELECT date, time, data FROM samples WHERE location = ? AND date = ? ORDER BY timestamp ASC"
+    ),
+    getLatestSample: db.prepare(
+      "SELECT date, time, data FROM samples WHERE location = ? ORDER BY timestamp DESC LIMIT 1"
+    ),
+    getRecentSamples: db.prepare(`
+      SELECT date, time, data FROM samples
+      WHERE location = ? AND date IN (
+        SELECT DISTINCT date FROM samples WHERE location = ? ORDER BY date DESC LIMIT ?
+      )
+      ORDER BY timestamp DESC
+    `),
+    getSamplesInRange: db.prepare(
+      "SELECT date, time, timestamp, data FROM samples WHERE location = ? AND timestamp BETWEEN ? AND ? ORDER BY timestamp ASC"
+    ),
+    saveSample: db.prepare(
+      "INSERT OR REPLACE INTO samples (location, date, time, timestamp, data) VALUES (?, ?, ?, ?, ?)"
+    )
+  };
 
-  if (!latestData) {
-    throw new Error(
-      "No color data available. Use /update-cache to generate initial data."
+  const toEntry = (row) => ({
+    date: row.date,
+    time: row.time,
+    sample: JSON.parse(row.data)
+  });
+
+  return {
+    type: "sqlite",
+
+    hasDate: (date) => Boolean(statements.hasDate.get(location.id, date)),
+
+    listDates: () => {
+      const dates = new Map();
+
+      for (const row of statements.listDates.all(location.id)) {
+        if (!dates.has(row.date)) dates.set(row.date, []);
+        dates.get(row.date).push(row.time);
+      }
+
+      return [...dates].map(([date, times]) => ({ date, times }));
+    },
+
+    getSample: (date, time) => {
+      const row = statements.getSample.get(location.id, date, time);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    getSamplesForDate: (date) =>
+      statements.getSamplesForDate.all(location.id, date).map(toEntry),
+
+    getLatestSample: () => {
+      const row = statements.getLatestSample.get(location.id);
+      return row ? toEntry(row) : null;
+    },
+
+    getSamplesInRange: (from, to) =>
+      statements.getSamplesInRange
+        .all(location.id, from, to)
+        .map((row) => ({ ...toEntry(row), timestamp: row.timestamp })),
+
+    getRecentSamples: (days) =>
+      statements.getRecentSamples
+        .all(location.id, location.id, days)
+        .map(toEntry),
+
+    saveSample: (date, time, sample) => {
+      statements.saveSample.run(
+        location.id,
+        date,
+        time,
+        getSampleTimestamp(location, date, time),
+        JSON.stringify(sample)
+      );
+    }
+  };
+}
+
+const storages = new Map();
+
+// Storage for a location, using the backend configured in config.storage
+function getStorage(location, type = getStorageConfig().type) {
+  const key = `${type}:${location.id}:${location.dataDir}`;
+
+  if (!storages.has(key)) {
+    storages.set(
+      key,
+      type === "sqlite"
+        ? createSqliteStorage(location)
+        : createFileStorage(location)
     );
   }
 
+  return storages.get(key);
+}
+
+function getLatestColorData(location = getDefaultLocation()) {
+  try {
+    const latest = getStorage(location).getLatestSample();
+
+    if (!latest) {
+      return null;
+    }
+
+    const timestamp = getSampleTimestamp(location, latest.date, latest.time);
+
+    return {
+      colors: latest.sample.colors,
+      extraction: latest.sample.extraction,
+      condition: getSampleCondition(location, latest.sample, timestamp),
+      astronomy: getSampleAstronomy(location, latest.sample, timestamp),
+      health: latest.sample.health || null,
+      timestamp
+    };
+  } catch (error) {
+    console.error("Error reading color data:", error);
+    return null;
+  }
+}
+
+// Lookup settings, with defaults for anything missing from config.json
+function getLookupConfig(location) {
+  const lookup = config.lookup || {};
+
   return {
-    westColor: latestData.colors.west,
-    northWestColor: latestData.colors["north-west"],
-    northEastColor: latestData.colors["north-east"],
-    eastColor: latestData.colors.east,
-    lastUpdated: latestData.timestamp
+    mode: lookup.mode || "nearest",
+    // Half an interval reaches a late capture without skipping to the next slot
+    toleranceMinutes:
+      lookup.toleranceMinutes ?? location.cache.updateIntervalMinutes / 2
   };
 }
 
-app.get("/api", async (req, res) => {
+// Blend two color maps in OKLab, `t` of the way from `from` to `to`
+function interpolateColors(from, to, t) {
+  return Object.fromEntries(
+    Object.entries(from)
+      .filter(([direction]) => to[direction])
+      .map(([direction, hex]) => {
+        const a = rgbToOklab(hexToRgb(hex));
+        const b = rgbToOklab(hexToRgb(to[direction]));
+        const lab = a.map((value, i) => value + (b[i] - value) * t);
+        return [direction, rgbToHex(...oklabToRgb(lab))];
+      })
+  );
+}
+
+// Get color data for a specific date and time. Returns the sample picked by
+// the lookup mode along with where it sits relative to the requested time.
+function getColorDataForDateTime(
+  dateStr,
+  timeStr,
+  location = getDefaultLocation(),
+  options = {}
+) {
   try {
-    // Check for date/time parameters
-    const { date, time } = req.query;
+    // Validate date format (YYYY-MM-DD)
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
+      throw new Error("Invalid date format. Expected YYYY-MM-DD");
+    }
 
-    let colorData;
-    let isHistoricalData = false;
-    let isDateOnlyRequest = false;
+    // Validate time format (H:MM or HH:MM, with a "b" suffix for the
+    // repeated hour when clocks fall back)
+    if (!/^\d{1,2}:\d{2}b?$/.test(timeStr)) {
+      throw new Error("Invalid time format. Expected H:MM or HH:MM");
+    }
 
-    if (date && time) {
-      // Request for specific date/time
-      try {
-        colorData = getColorDataForDateTime(date, time);
-        isHistoricalData = true;
-      } catch (error) {
-        return res.status(400).json({
-          error: "Invalid date/time parameters",
-          message: error.message,
-          example: "Use format: ?date=2025-09-28&time=22:45"
-        });
+    // Normalize time to HH:MM format (pad single digit hours)
+    const { hour, minute, repeated } = parseTimeKey(timeStr);
+    const normalizedTimeStr = formatTimeKey(hour, minute, repeated);
+
+    const defaults = getLookupConfig(location);
+    const mode = options.mode || defaults.mode;
+    const toleranceMinutes =
+      options.toleranceMinutes ?? defaults.toleranceMinutes;
+    const interpolate = Boolean(options.interpolate);
+
+    if (!lookupModes.includes(mode)) {
+      throw new Error(`Lookup mode must be one of: ${lookupModes.join(", ")}`);
+    }
+
+    if (!Number.isFinite(toleranceMinutes) || toleranceMinutes < 0) {
+      throw new Error("Tolerance must be a non-negative number of minutes");
+    }
+
+    const storage = getStorage(location);
+    const requested = getSampleTimestamp(location, dateStr, normalizedTimeStr);
+
+    const describeEntry = (entry) => ({
+      date: entry.date,
+      time: entry.time,
+      timestamp: entry.timestamp,
+      offsetMinutes: (entry.timestamp - requested) / 60000
+    });
+
+    const lookup = {
+      mode,
+      toleranceMinutes: mode === "exact" ? 0 : toleranceMinutes,
+      interpolated: false,
+      requested: {
+        date: dateStr,
+        time: normalizedTimeStr,
+        timestamp: requested
       }
-    } else if (date && !time) {
-      // Request for all data on a specific date
-      try {
-        const allDateData = getAllColorDataForDate(date);
-        isHistoricalData = true;
-        isDateOnlyRequest = true;
+    };
 
-        // Format the response for date-only requests
-        colorData = {
-          date: date,
-          intervals: allDateData,
-          totalIntervals: allDateData.length
-        };
-      } catch (error) {
-        return res.status(400).json({
-          error: "Invalid date parameter",
-          message: error.message,
-          example:
-            "Use format: ?date=2025-09-28 (for all intervals) or ?date=2025-09-28&time=22:45 (for specific time)"
-        });
+    if (mode === "exact") {
+      if (!storage.hasDate(dateStr)) {
+        throw new Error(`No data available for date ${dateStr}`);
       }
-    } else if (!date && time) {
-      // Only time parameter provided (invalid)
-      return res.status(400).json({
-        error: "Date parameter required when specifying time",
-        message:
-          "When requesting historical data, the 'date' parameter is required. You can specify just date for all intervals, or both date and time for a specific interval.",
-        example:
-          "Use format: ?date=2025-09-28 (for all intervals) or ?date=2025-09-28&time=22:45 (for specific time)"
-      });
-    } else {
-      // No parameters, get latest data
-      const cachedData = await getCachedData();
-      colorData = {
-        colors: {
-          west: cachedData.westColor,
-          "north-west": cachedData.northWestColor,
-          "north-east": cachedData.northEastColor,
-          east: cachedData.eastColor
-        },
-        timestamp: cachedData.lastUpdated
+
+      const sample = storage.getSample(dateStr, normalizedTimeStr);
+
+      if (!sample) {
+        throw new Error(
+          `No data available for ${dateStr} at ${normalizedTimeStr}`
+        );
+      }
+
+      return {
+        colors: sample.colors,
+        extraction: sample.extraction,
+        condition: getSampleCondition(location, sample, requested),
+        astronomy: getSampleAstronomy(location, sample, requested),
+        health: sample.health || null,
+        timestamp: requested,
+        lookup: {
+          ...lookup,
+          sample: describeEntry({
+            date: dateStr,
+            time: normalizedTimeStr,
+            timestamp: requested
+          })
+        }
       };
     }
 
-    // Build response object
-    let response;
+    // The window can cross local midnight, so search by timestamp
+    const toleranceMs = toleranceMinutes * 60 * 1000;
+    const candidates = storage.getSamplesInRange(
+      requested - toleranceMs,
+      requested + toleranceMs
+    );
+    const before = candidates.filter((entry) => entry.timestamp <= requested);
+    const after = candidates.filter((entry) => entry.timestamp >= requested);
+    const previous = before[before.length - 1];
+    const next = after[0];
+
+    // Blend the two samples either side of the requested time
+    if (interpolate && previous && next && previous !== next) {
+      const t =
+        (requested - previous.timestamp) /
+        (next.timestamp - previous.timestamp);
+
+      const colors = interpolateColors(
+        previous.sample.colors,
+        next.sample.colors,
+        t
+      );
 
-    if (isDateOnlyRequest) {
-      // Special response format for date-only requests
-      response = {
-        date: colorData.date,
-        totalIntervals: colorData.totalIntervals,
-        intervals: colorData.intervals.map((interval) => ({
-          time: interval.time,
-          colors: interval.colors,
-          timestamp: interval.timestamp,
-          formatted:
-            new Date(interval.timestamp).toLocaleDateString("en-US", {
-              timeZone: "America/New_York",
-              year: "numeric",
-              month: "long",
-              day: "numeric"
-            }) +
-            " at " +
-            new Date(interval.timestamp).toLocaleTimeString("en-US", {
-              timeZone: "America/New_York",
-              hour: "numeric",
-              minute: "2-digit",
+      return {
+        colors,
+        condition: classifySkyCondition(location, colors, requested),
+        astronomy: getAstronomy(location, requested),
+        timestamp: requested,
+        lookup: {
+          ...lookup,
+          interpolated: true,
+          samples: [
+            { ...describeEntry(previous), weight: round(1 - t, 3) },
+            { ...describeEntry(next), weight: round(t, 3) }
+          ]
+        }
+      };
+    }
+
+    let entry;
+    if (mode === "before") {
+      entry = previous;
+    } else if (mode === "after") {
+      entry = next;
+    } else if (previous && next) {
+      // Ties go to the earlier sample
+      entry =
+        requested - previous.timestamp <= next.timestamp - requested
+          ? previous
+          : next;
+    } else {
+      entry = previous || next;
+    }
+
+    if (!entry) {
+      const direction = mode === "nearest" ? "of" : mode;
+      throw new Error(
+        `No data available within ${toleranceMinutes} minutes ${direction} ${dateStr} at ${normalizedTimeStr}`
+      );
+    }
+
+    return {
+      colors: entry.sample.colors,
+      extraction: entry.sample.extraction,
+      condition: getSampleCondition(location, entry.sample, entry.timestamp),
+      astronomy: getSampleAstronomy(location, entry.sample, entry.timestamp),
+      health: entry.sample.health || null,
+      timestamp: entry.timestamp,
+      lookup: { ...lookup, sample: describeEntry(entry) }
+    };
+  } catch (error) {
+    console.error("Error reading color data for specific date/time:", error);
+    throw error;
+  }
+}
+
+function getAllColorDataForDate(dateStr, location = getDefaultLocation()) {
+  try {
+    // Validate date format (YYYY-MM-DD)
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
+      throw new Error("Invalid date format. Expected YYYY-MM-DD");
+    }
+
+    const storage = getStorage(location);
+
+    if (!storage.hasDate(dateStr)) {
+      throw new Error(`No data available for date ${dateStr}`);
+    }
+
+    const samples = storage.getSamplesForDate(dateStr);
+
+    if (samples.length === 0) {
+      throw new Error(`No color data files found for date ${dateStr}`);
+    }
+
+    return samples.map(({ time, sample }) => {
+      const timestamp = getSampleTimestamp(location, dateStr, time);
+
+      return {
+        time,
+        colors: sample.colors,
+        extraction: sample.extraction,
+        condition: getSampleCondition(location, sample, timestamp),
+        astronomy: getSampleAstronomy(location, sample, timestamp),
+        timestamp
+      };
+    });
+  } catch (error) {
+    console.error("Error reading all color data for date:", error);
+    throw error;
+  }
+}
+
+function rgbToHex(r, g, b) {
+  return `#${r.toString(16).padStart(2, "0")}${g
+    .toString(16)
+    .padStart(2, "0")}${b.toString(16).padStart(2, "0")}`;
+}
+
+// Decode an image to raw RGB bytes (3 per pixel, row by row)
+async function getRawPixels(imageBuffer) {
+  return await runFfmpeg(
+    [
+      "-y",
+      "-f",
+      "image2pipe",
+      "-i",
+      "pipe:0", // read from stdin
+      "-f",
+      "rawvideo",
+      "-pix_fmt",
+      "rgb24",
+      "pipe:1"
+    ],
+    imageBuffer,
+    "ffmpeg pixels"
+  );
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function srgbToLinear(channel) {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+function linearToSrgb(channel) {
+  const c =
+    channel <= 0.0031308
+      ? 12.92 * channel
+      : 1.055 * channel ** (1 / 2.4) - 0.055;
+  return Math.round(Math.min(1, Math.max(0, c)) * 255);
+}
+
+// sRGB (0-255) to OKLab, a perceptual space where distances match how
+// different two colors look
+function rgbToOklab([r, g, b]) {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  const l = Math.cbrt(
+    0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb
+  );
+  const m = Math.cbrt(
+    0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb
+  );
+  const s = Math.cbrt(
+    0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb
+  );
+
+  return [
+    0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s
+  ];
+}
+
+function oklabToRgb([L, a, b]) {
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.291485548 * b) ** 3;
+
+  return [
+    linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s)
+  ];
+}
+
+function oklabDistance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+function rgbToHsl([r, g, b]) {
+  const rn = r / 255;
+  const gn = g / 255;
+  const bn = b / 255;
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  const d = max - min;
+
+  let h = 0;
+  let s = 0;
+
+  if (d !== 0) {
+    s = d / (1 - Math.abs(2 * l - 1));
+
+    if (max === rn) h = ((gn - bn) / d) % 6;
+    else if (max === gn) h = (bn - rn) / d + 2;
+    else h = (rn - gn) / d + 4;
+
+    h = (h * 60 + 360) % 360;
+  }
+
+  return [h, s * 100, l * 100];
+}
+
+// OKLab as lightness, chroma and hue angle in degrees
+function oklabToOklch([L, a, b]) {
+  const c = Math.hypot(a, b);
+  const h = c < 1e-4 ? 0 : ((Math.atan2(b, a) * 180) / Math.PI + 360) % 360;
+  return [L, c, h];
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// A hex color alongside its RGB, HSL and OKLCH values
+function describeColor(hex) {
+  const rgb = hexToRgb(hex);
+  const [h, s, l] = rgbToHsl(rgb);
+  const [okL, okC, okH] = oklabToOklch(rgbToOklab(rgb));
+
+  return {
+    hex,
+    rgb: { r: rgb[0], g: rgb[1], b: rgb[2] },
+    hsl: { h: round(h, 1), s: round(s, 1), l: round(l, 1) },
+    oklch: { l: round(okL, 4), c: round(okC, 4), h: round(okH, 1) }
+  };
+}
+
+// Sun altitude and azimuth in degrees (azimuth clockwise from north) at a
+// timestamp, using the low-precision solar coordinates from the Astronomical
+// Almanac, good to about 0.01 degrees
+function getSunPosition(timestamp, latitude, longitude) {
+  const rad = Math.PI / 180;
+  // Days since the J2000.0 epoch (2000-01-01 12:00 UTC)
+  const days = timestamp / 86400000 - 10957.5;
+
+  const meanLongitude = 280.46 + 0.9856474 * days;
+  const meanAnomaly = (357.528 + 0.9856003 * days) * rad;
+  const eclipticLongitude =
+    (meanLongitude +
+      1.915 * Math.sin(meanAnomaly) +
+      0.02 * Math.sin(2 * meanAnomaly)) *
+    rad;
+  const obliquity = (23.439 - 0.0000004 * days) * rad;
+
+  const rightAscension = Math.atan2(
+    Math.cos(obliquity) * Math.sin(eclipticLongitude),
+    Math.cos(eclipticLongitude)
+  );
+  const declination = Math.asin(
+    Math.sin(obliquity) * Math.sin(eclipticLongitude)
+  );
+
+  const siderealTime = (280.46061837 + 360.98564736629 * days) * rad;
+  const hourAngle = siderealTime + longitude * rad - rightAscension;
+  const lat = latitude * rad;
+
+  const altitude = Math.asin(
+    Math.sin(lat) * Math.sin(declination) +
+      Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle)
+  );
+  const azimuth = Math.atan2(
+    -Math.sin(hourAngle),
+    Math.tan(declination) * Math.cos(lat) - Math.sin(lat) * Math.cos(hourAngle)
+  );
+
+  return {
+    altitude: altitude / rad,
+    azimuth: (azimuth / rad + 360) % 360
+  };
+}
+
+// Camera coordinates from the location's source, or null if not configured
+function getLocationCoordinates(location) {
+  const { latitude, longitude } = location.source;
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return null;
+  }
+
+  return { latitude, longitude };
+}
+
+// Sun altitudes (degrees) that mark sunrise/sunset and the three twilights.
+// Sunrise and sunset use the upper limb with standard refraction.
+const sunAltitudes = {
+  sunrise: -0.833,
+  civil: -6,
+  nautical: -12,
+  astronomical: -18
+};
+
+// Which part of the day an altitude falls in
+function getTwilightPhase(altitude) {
+  if (altitude >= sunAltitudes.sunrise) return "day";
+  if (altitude >= sunAltitudes.civil) return "civil-twilight";
+  if (altitude >= sunAltitudes.nautical) return "nautical-twilight";
+  if (altitude >= sunAltitudes.astronomical) return "astronomical-twilight";
+  return "night";
+}
+
+// Sunrise, sunset, solar noon and twilight boundaries for a local date.
+// Altitudes are stepped through the day in 10-minute increments and each
+// crossing is refined by bisection. Events that don't happen (e.g. no
+// astronomical dusk at high latitudes in summer) are null.
+const solarEventsCache = new Map();
+
+function getSolarEvents(location, dateStr) {
+  const key = `${location.id} ${dateStr}`;
+  if (solarEventsCache.has(key)) {
+    return solarEventsCache.get(key);
+  }
+
+  const { latitude, longitude } = getLocationCoordinates(location);
+  const altitudeAt = (timestamp) =>
+    getSunPosition(timestamp, latitude, longitude).altitude;
+
+  const nextDate = getNextDateString(dateStr);
+  const start = getSampleTimestamp(location, dateStr, "00:00");
+  const end = getSampleTimestamp(location, nextDate, "00:00");
+  const step = 10 * 60 * 1000;
+
+  // First time in the day the altitude crosses `threshold` going up (rising)
+  // or down (setting), to the nearest second
+  const findCrossing = (threshold, rising) => {
+    for (let t = start; t < end; t += step) {
+      const next = Math.min(t + step, end);
+      const before = altitudeAt(t) - threshold;
+      const after = altitudeAt(next) - threshold;
+
+      if (rising ? before < 0 && after >= 0 : before >= 0 && after < 0) {
+        let low = t;
+        let high = next;
+        while (high - low > 1000) {
+          const mid = (low + high) / 2;
+          const above = altitudeAt(mid) >= threshold;
+          if (above === rising) high = mid;
+          else low = mid;
+        }
+        return Math.round(high / 1000) * 1000;
+      }
+    }
+    return null;
+  };
+
+  // Solar noon: the highest altitude, narrowed down by ternary search around
+  // the best 10-minute step
+  let noon = start;
+  for (let t = start; t <= end; t += step) {
+    if (altitudeAt(t) > altitudeAt(noon)) noon = t;
+  }
+  let low = Math.max(noon - step, start);
+  let high = Math.min(noon + step, end);
+  while (high - low > 1000) {
+    const a = low + (high - low) / 3;
+    const b = high - (high - low) / 3;
+    if (altitudeAt(a) < altitudeAt(b)) low = a;
+    else high = b;
+  }
+  const solarNoon = Math.round((low + high) / 2000) * 1000;
+
+  const events = {
+    astronomicalDawn: findCrossing(sunAltitudes.astronomical, true),
+    nauticalDawn: findCrossing(sunAltitudes.nautical, true),
+    civilDawn: findCrossing(sunAltitudes.civil, true),
+    sunrise: findCrossing(sunAltitudes.sunrise, true),
+    solarNoon,
+    sunset: findCrossing(sunAltitudes.sunrise, false),
+    civilDusk: findCrossing(sunAltitudes.civil, false),
+    nauticalDusk: findCrossing(sunAltitudes.nautical, false),
+    astronomicalDusk: findCrossing(sunAltitudes.astronomical, false)
+  };
+
+  solarEventsCache.set(key, events);
+  return events;
+}
+
+// Approximate moon phase from the mean synodic month, counted from the new
+// moon of 2000-01-06 18:14 UTC. Good to within about a day.
+function getMoonPhase(timestamp) {
+  const synodicMonth = 29.530588853;
+  const referenceNewMoon = Date.UTC(2000, 0, 6, 18, 14);
+  const age =
+    ((((timestamp - referenceNewMoon) / 86400000) % synodicMonth) +
+      synodicMonth) %
+    synodicMonth;
+  const phase = age / synodicMonth;
+
+  const names = [
+    "new-moon",
+    "waxing-crescent",
+    "first-quarter",
+    "waxing-gibbous",
+    "full-moon",
+    "waning-gibbous",
+    "last-quarter",
+    "waning-crescent"
+  ];
+
+  return {
+    name: names[Math.round(phase * 8) % 8],
+    phase: round(phase, 3),
+    illumination: round((1 - Math.cos(2 * Math.PI * phase)) / 2, 3),
+    ageDays: round(age, 2)
+  };
+}
+
+// Sun position, twilight phase, the day's sunrise and sunset, and the moon
+// phase at a timestamp, or null when the location has no coordinates
+function getAstronomy(location, timestamp) {
+  const coordinates = getLocationCoordinates(location);
+  if (!coordinates) return null;
+
+  const { altitude, azimuth } = getSunPosition(
+    timestamp,
+    coordinates.latitude,
+    coordinates.longitude
+  );
+  const events = getSolarEvents(
+    location,
+    getLocalDateString(timestamp, location.timezone)
+  );
+
+  return {
+    sun: {
+      altitude: round(altitude, 2),
+      azimuth: round(azimuth, 2),
+      phase: getTwilightPhase(altitude)
+    },
+    sunrise: events.sunrise,
+    solarNoon: events.solarNoon,
+    sunset: events.sunset,
+    moon: getMoonPhase(timestamp)
+  };
+}
+
+// A stored sample's astronomy, computed on the fly for older samples
+function getSampleAstronomy(location, sample, timestamp) {
+  return sample.astronomy || getAstronomy(location, timestamp);
+}
+
+// Sky condition labels, roughly in the order they occur through an evening
+const skyConditions = [
+  "clear",
+  "overcast",
+  "fog",
+  "golden-hour",
+  "sunset",
+  "blue-hour",
+  "night"
+];
+
+// 0 at `from`, 1 at `to`, linear in between (works in either direction)
+function ramp(value, from, to) {
+  return Math.min(Math.max((value - from) / (to - from), 0), 1);
+}
+
+// How close a hue (degrees) is to a hue range, fading out over 20 degrees
+function hueMembership(hue, from, to) {
+  const inside =
+    from <= to ? hue >= from && hue <= to : hue >= from || hue <= to;
+  if (inside) return 1;
+
+  const distance = Math.min(
+    ...[from, to].map((edge) => {
+      const d = Math.abs(hue - edge) % 360;
+      return d > 180 ? 360 - d : d;
+    })
+  );
+  return ramp(distance, 20, 0);
+}
+
+// Label a sample from its region colors and, when the camera coordinates are
+// known, the sun's altitude. Every label gets a score from simple fuzzy rules;
+// the scores are normalized into confidences that add up to 1.
+function classifySkyCondition(location, colors, timestamp) {
+  const regions = Object.values(colors).map((hex) =>
+    oklabToOklch(rgbToOklab(hexToRgb(hex)))
+  );
+  if (regions.length === 0) return null;
+
+  const mean = (values) =>
+    values.reduce((sum, value) => sum + value, 0) / values.length;
+  const lightness = mean(regions.map(([l]) => l));
+  const chroma = mean(regions.map(([, c]) => c));
+  const lightnessSpread = Math.sqrt(
+    mean(regions.map(([l]) => (l - lightness) ** 2))
+  );
+
+  // Share of regions with a given hue, ignoring near-gray ones
+  const hueShare = (from, to) =>
+    mean(
+      regions.map(
+        ([, c, h]) => hueMembership(h, from, to) * ramp(c, 0.02, 0.05)
+      )
+    );
+  const blue = hueShare(200, 275);
+  const golden = hueShare(60, 100);
+  const warm = hueShare(330, 70);
+
+  const gray = ramp(chroma, 0.05, 0.02);
+  const uniform = ramp(lightnessSpread, 0.06, 0.015);
+  const dark = ramp(lightness, 0.35, 0.2);
+
+  // Phase of the day from the sun's altitude, or guessed from brightness
+  const coordinates = getLocationCoordinates(location);
+  let sun = null;
+  let phase;
+
+  if (coordinates) {
+    sun = getSunPosition(
+      timestamp,
+      coordinates.latitude,
+      coordinates.longitude
+    );
+    const altitude = sun.altitude;
+    phase = {
+      day: ramp(altitude, 4, 10),
+      golden: ramp(altitude, -2, 1) * ramp(altitude, 12, 6),
+      sunset: ramp(altitude, -7, -3) * ramp(altitude, 4, 0),
+      blue: ramp(altitude, -12, -8) * ramp(altitude, -2, -4),
+      night: ramp(altitude, -8, -12)
+    };
+  } else {
+    const twilight = ramp(lightness, 0.2, 0.35) * ramp(lightness, 0.7, 0.5);
+    phase = {
+      day: ramp(lightness, 0.5, 0.7),
+      golden: twilight,
+      sunset: twilight,
+      blue: twilight,
+      night: dark
+    };
+  }
+
+  const scores = {
+    clear: phase.day * blue * (1 - uniform * gray),
+    overcast: phase.day * gray * (1 - uniform * 0.5),
+    fog: (1 - phase.night) * gray * uniform * ramp(lightness, 0.35, 0.55),
+    "golden-hour": phase.golden * golden * ramp(lightness, 0.4, 0.55),
+    sunset: phase.sunset * warm * ramp(chroma, 0.04, 0.08),
+    "blue-hour": phase.blue * blue * ramp(lightness, 0.15, 0.3),
+    night: phase.night * dark
+  };
+
+  // Fall back on the time of day when no color rule fires
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  if (total < 0.05) {
+    scores.clear += phase.day * 0.05;
+    scores["golden-hour"] += phase.golden * 0.05;
+    scores.sunset += phase.sunset * 0.05;
+    scores["blue-hour"] += phase.blue * 0.05;
+    scores.night += phase.night * 0.05;
+    scores.overcast += 0.01;
+  }
+
+  const sum = Object.values(scores).reduce((acc, score) => acc + score, 0);
+  const confidences = Object.fromEntries(
+    skyConditions.map((label) => [label, round(scores[label] / sum, 3)])
+  );
+  const [label, confidence] = Object.entries(confidences).sort(
+    (a, b) => b[1] - a[1]
+  )[0];
+
+  return {
+    label,
+    confidence,
+    confidences,
+    sunAltitude: sun ? round(sun.altitude, 2) : null
+  };
+}
+
+// A stored sample's condition, classified on the fly for samples saved
+// before classification existed
+function getSampleCondition(location, sample, timestamp) {
+  return (
+    sample.condition || classifySkyCondition(location, sample.colors, timestamp)
+  );
+}
+
+// Ray casting test for whether a point lies inside a polygon of [x, y] points
+function isPointInPolygon(x, y, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+// Collect [r, g, b] for every pixel in rows [fromRow, toRow), or only those
+// whose centers fall inside the mask
+function collectPixels(
+  pixels,
+  width,
+  height,
+  mask,
+  fromRow = 0,
+  toRow = height
+) {
+  const result = [];
+
+  for (let y = fromRow; y < toRow; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask && !isPointInPolygon(x + 0.5, y + 0.5, mask)) continue;
+
+      const offset = (y * width + x) * 3;
+      result.push([pixels[offset], pixels[offset + 1], pixels[offset + 2]]);
+    }
+  }
+
+  if (result.length === 0) {
+    throw new Error("Crop mask does not cover any pixels");
+  }
+
+  return result;
+}
+
+function getMeanColor(colors) {
+  const sum = [0, 0, 0];
+
+  for (const color of colors) {
+    sum[0] += color[0];
+    sum[1] += color[1];
+    sum[2] += color[2];
+  }
+
+  return sum.map((channel) => Math.round(channel / colors.length));
+}
+
+// Per-channel median, so a few odd pixels can't drag the result
+function getMedianColor(colors) {
+  return [0, 1, 2].map((channel) => {
+    const values = colors.map((color) => color[channel]).sort((a, b) => a - b);
+    const middle = Math.floor(values.length / 2);
+
+    return values.length % 2
+      ? values[middle]
+      : Math.round((values[middle - 1] + values[middle]) / 2);
+  });
+}
+
+// Mean of the pixels left after dropping the `trim` fraction furthest (in
+// OKLab) from the median color, e.g. a bird, antenna or lit window
+function getTrimmedMeanColor(colors, trim) {
+  const median = rgbToOklab(getMedianColor(colors));
+  const keep = Math.max(1, Math.round(colors.length * (1 - trim)));
+
+  const kept = colors
+    .map((color) => ({
+      color,
+      distance: oklabDistance(rgbToOklab(color), median)
+    }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, keep)
+    .map(({ color }) => color);
+
+  return getMeanColor(kept);
+}
+
+// Cluster pixels with k-means in OKLab. Returns the clusters as a palette
+// sorted by weight (share of pixels), largest first.
+function getColorPalette(colors, size, maxSamples = 4096) {
+  // Sample evenly across the crop to keep clustering fast
+  const step = Math.max(1, Math.floor(colors.length / maxSamples));
+  const samples = [];
+  for (let i = 0; i < colors.length; i += step) {
+    samples.push(rgbToOklab(colors[i]));
+  }
+
+  // Deterministic farthest-point initialisation, starting from the mean
+  const mean = [0, 1, 2].map(
+    (channel) =>
+      samples.reduce((sum, sample) => sum + sample[channel], 0) / samples.length
+  );
+  const centroids = [mean];
+
+  while (centroids.length < Math.min(size, samples.length)) {
+    let farthest = samples[0];
+    let farthestDistance = -1;
+
+    for (const sample of samples) {
+      const distance = Math.min(
+        ...centroids.map((centroid) => oklabDistance(sample, centroid))
+      );
+      if (distance > farthestDistance) {
+        farthest = sample;
+        farthestDistance = distance;
+      }
+    }
+
+    // Fewer distinct colors than requested
+    if (farthestDistance === 0) break;
+    centroids.push([...farthest]);
+  }
+
+  const assignments = new Array(samples.length).fill(0);
+
+  for (let iteration = 0; iteration < 20; iteration++) {
+    let changed = false;
+
+    samples.forEach((sample, index) => {
+      let nearest = 0;
+      for (let c = 1; c < centroids.length; c++) {
+        if (
+          oklabDistance(sample, centroids[c]) <
+          oklabDistance(sample, centroids[nearest])
+        ) {
+          nearest = c;
+        }
+      }
+      if (assignments[index] !== nearest) {
+        assignments[index] = nearest;
+        changed = true;
+      }
+    });
+
+    centroids.forEach((centroid, c) => {
+      const members = samples.filter((_, index) => assignments[index] === c);
+      if (members.length === 0) return;
+
+      for (let channel = 0; channel < 3; channel++) {
+        centroid[channel] =
+          members.reduce((sum, member) => sum + member[channel], 0) /
+          members.length;
+      }
+    });
+
+    if (!changed && iteration > 0) break;
+  }
+
+  return centroids
+    .map((centroid, c) => ({
+      hex: rgbToHex(...oklabToRgb(centroid)),
+      weight:
+        assignments.filter((assignment) => assignment === c).length /
+        samples.length
+    }))
+    .filter((entry) => entry.weight > 0)
+    .sort((a, b) => b.weight - a.weight)
+    .map((entry) => ({
+      ...entry,
+      weight: Math.round(entry.weight * 1000) / 1000
+    }));
+}
+
+// Mean color of the top, middle and bottom thirds of the crop, as gradient
+// stops from the top (position 0) down to the bottom (position 1)
+function getGradientStops(pixels, width, height, mask) {
+  return ["top", "middle", "bottom"]
+    .map((stop, band) => {
+      const fromRow = Math.floor((band * height) / 3);
+      const toRow = Math.floor(((band + 1) * height) / 3);
+
+      try {
+        const colors = collectPixels(
+          pixels,
+          width,
+          height,
+          mask,
+          fromRow,
+          toRow
+        );
+        return {
+          stop,
+          position: band / 2,
+          hex: rgbToHex(...getMeanColor(colors))
+        };
+      } catch (error) {
+        // The mask doesn't reach into this band
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Extraction settings for a region: crops.extraction for the location,
+// overridden by the region's own `extraction`
+function getExtractionSettings(location, region) {
+  const settings = {
+    mode: "mean",
+    paletteSize: 5,
+    trim: 0.2,
+    ...location.crops.extraction,
+    ...region.extraction
+  };
+
+  if (!extractionModes.includes(settings.mode)) {
+    throw new Error(
+      `Unknown extraction mode "${settings.mode}" for region "${region.name}". Expected one of: ${extractionModes.join(", ")}`
+    );
+  }
+
+  return settings;
+}
+
+// Extract the region's color with the configured mode, plus a dominant color,
+// weighted palette from k-means clustering and a vertical gradient
+async function getDominantColor(imageBuffer, region, settings = {}) {
+  const { mode = "mean", paletteSize = 5, trim = 0.2 } = settings;
+
+  const pixels = await getRawPixels(imageBuffer);
+  const colors = collectPixels(
+    pixels,
+    region.width,
+    region.height,
+    region.mask
+  );
+
+  const palette = getColorPalette(colors, paletteSize);
+  const dominant = palette[0].hex;
+
+  let hex;
+  if (mode === "median") {
+    hex = rgbToHex(...getMedianColor(colors));
+  } else if (mode === "kmeans") {
+    hex = dominant;
+  } else if (mode === "trimmed-mean") {
+    hex = rgbToHex(...getTrimmedMeanColor(colors, trim));
+  } else {
+    hex = rgbToHex(...getMeanColor(colors));
+  }
+
+  return {
+    hex,
+    mode,
+    ...(mode === "trimmed-mean" ? { trim } : {}),
+    dominant,
+    palette,
+    gradient: getGradientStops(pixels, region.width, region.height, region.mask)
+  };
+}
+
+const archiveFormats = {
+  jpeg: { extension: "jpg", contentType: "image/jpeg" },
+  webp: { extension: "webp", contentType: "image/webp" }
+};
+
+// Frame archive settings for a location, with defaults for anything missing
+function getArchiveConfig(location) {
+  const archive = location.archive || {};
+  const retention = archive.retention || {};
+
+  const format = archive.format || "jpeg";
+
+  if (!archiveFormats[format]) {
+    throw new Error(
+      `Unknown archive format "${format}". Expected one of: ${Object.keys(
+        archiveFormats
+      ).join(", ")}`
+    );
+  }
+
+  return {
+    enabled: archive.enabled === true,
+    format,
+    quality: archive.quality ?? 80,
+    crops: archive.crops !== false,
+    retention: {
+      maxFrames: retention.maxFrames ?? null,
+      maxAgeDays: retention.maxAgeDays ?? null,
+      maxDiskMB: retention.maxDiskMB ?? null
+    }
+  };
+}
+
+// Archived images sit next to the sample JSON:
+// HH-MM.frame.jpg for the full frame and HH-MM.crop.<direction>.jpg per crop
+function getArchiveFilename(timeKey, name, format) {
+  return `${timeKey}.${name}.${archiveFormats[format].extension}`;
+}
+
+// Image name of a region's crop. The region name is percent-encoded, dots
+// included, so any name stays one path segment without extra dots.
+function getCropImageName(direction) {
+  return `crop.${encodeURIComponent(direction).replace(/\./g, "%2E")}`;
+}
+
+// Compress a PNG to JPEG or WebP. Quality is 0-100 for both formats.
+async function encodeArchiveImage(imageBuffer, format, quality) {
+  const codecArgs =
+    format === "webp"
+      ? ["-vcodec", "libwebp", "-quality", String(quality)]
+      : [
+          "-vcodec",
+          "mjpeg",
+          // mjpeg takes a 2 (best) to 31 (worst) scale
+          "-q:v",
+          String(
+            Math.round(31 - (Math.min(100, Math.max(0, quality)) / 100) * 29)
+          )
+        ];
+
+  return await runFfmpeg(
+    [
+      "-y",
+      "-f",
+      "image2pipe",
+      "-i",
+      "pipe:0", // read from stdin
+      "-vframes",
+      "1",
+      "-f",
+      "image2pipe",
+      ...codecArgs,
+      "pipe:1"
+    ],
+    imageBuffer,
+    "ffmpeg archive"
+  );
+}
+
+async function archiveFrame(
+  location,
+  dateFolder,
+  timeKey,
+  imageBuffer,
+  regions,
+  crops
+) {
+  const { format, quality, crops: archiveCrops } = getArchiveConfig(location);
+  const dateFolderPath = path.join(location.dataDir, dateFolder);
+  fs.mkdirSync(dateFolderPath, { recursive: true });
+
+  const images = [{ name: "frame", buffer: imageBuffer }];
+  if (archiveCrops) {
+    regions.forEach((region, index) => {
+      images.push({
+        name: getCropImageName(region.name),
+        buffer: crops[index]
+      });
+    });
+  }
+
+  for (const image of images) {
+    const encoded = await encodeArchiveImage(image.buffer, format, quality);
+    fs.writeFileSync(
+      path.join(
+        dateFolderPath,
+        getArchiveFilename(timeKey, image.name, format)
+      ),
+      encoded
+    );
+  }
+
+  console.log(
+    `Archived ${images.length} images for ${location.id} ${dateFolder} ${timeKey}`
+  );
+}
+
+const archiveFilePattern = /^(\d{2}-\d{2}b?)\.(frame|crop\..+)\.(jpg|webp)$/;
+
+// List archived images grouped by sample, oldest sample first
+function listArchivedSamples(location) {
+  const samples = new Map();
+
+  const dateFolders = fs
+    .readdirSync(location.dataDir)
+    .filter(
+      (item) =>
+        /^\d{4}-\d{2}-\d{2}$/.test(item) &&
+        fs.statSync(path.join(location.dataDir, item)).isDirectory()
+    );
+
+  for (const dateFolder of dateFolders) {
+    const dateFolderPath = path.join(location.dataDir, dateFolder);
+
+    for (const file of fs.readdirSync(dateFolderPath)) {
+      const match = file.match(archiveFilePattern);
+      if (!match) continue;
+
+      const key = `${dateFolder}/${match[1]}`;
+      const filePath = path.join(dateFolderPath, file);
+      const { size, mtimeMs } = fs.statSync(filePath);
+
+      if (!samples.has(key)) {
+        samples.set(key, {
+          key,
+          timestamp: getSampleTimestamp(
+            location,
+            dateFolder,
+            match[1].replace("-", ":")
+          ),
+          files: [],
+          size: 0,
+          mtime: mtimeMs
+        });
+      }
+
+      const sample = samples.get(key);
+      sample.files.push(filePath);
+      sample.size += size;
+      sample.mtime = Math.min(sample.mtime, mtimeMs);
+    }
+  }
+
+  return [...samples.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Delete the oldest archived images until the count, age and disk limits
+// are all met. Sample JSON files are never touched.
+function enforceArchiveRetention(location) {
+  const { maxFrames, maxAgeDays, maxDiskMB } =
+    getArchiveConfig(location).retention;
+
+  if (maxFrames === null && maxAgeDays === null && maxDiskMB === null) {
+    return 0;
+  }
+
+  const samples = listArchivedSamples(location);
+  let totalSize = samples.reduce((sum, sample) => sum + sample.size, 0);
+  let remaining = samples.length;
+  let removed = 0;
+
+  for (const sample of samples) {
+    const overCount = maxFrames !== null && remaining > maxFrames;
+    const tooOld =
+      maxAgeDays !== null &&
+      Date.now() - sample.mtime > maxAgeDays * 24 * 60 * 60 * 1000;
+    const overBudget =
+      maxDiskMB !== null && totalSize > maxDiskMB * 1024 * 1024;
+
+    if (!overCount && !tooOld && !overBudget) break;
+
+    for (const filePath of sample.files) {
+      fs.unlinkSync(filePath);
+    }
+
+    totalSize -= sample.size;
+    remaining--;
+    removed++;
+  }
+
+  if (removed > 0) {
+    console.log(`Removed ${removed} archived frames for ${location.id}`);
+  }
+
+  return removed;
+}
+
+// Find an archived image for a sample, in whichever format it was stored
+function findArchivedImage(location, dateStr, timeKey, name) {
+  for (const format of Object.keys(archiveFormats)) {
+    const filePath = path.join(
+      location.dataDir,
+      dateStr,
+      getArchiveFilename(timeKey, name, format)
+    );
+
+    if (fs.existsSync(filePath)) {
+      return { filePath, contentType: archiveFormats[format].contentType };
+    }
+  }
+
+  return null;
+}
+
+// Crop every configured region from a full frame and extract its colors.
+// Shared by live captures and reprocessing of archived frames.
+async function extractColorData(
+  location,
+  imageBuffer,
+  transform = null,
+  job = null
+) {
+  // Step 2: Get frame dimensions to calculate crop positions
+  const { width, height } = getImageDimensions(imageBuffer);
+
+  console.log(`Video dimensions: ${width}x${height}`);
+
+  // Step 3: Get crop regions from config, following the camera if calibrated
+  const regions = getCropRegions(location, width, height, transform);
+
+  for (const region of regions) {
+    // Calibration can move regions past any edge, not just the far ones
+    if (
+      region.x < 0 ||
+      region.y < 0 ||
+      region.x + region.width > width ||
+      region.y + region.height > height
+    ) {
+      throw new Error(
+        `Crop region "${region.name}" (${region.width}x${region.height} at ${region.x},${region.y}) is outside the ${width}x${height} frame`
+      );
+    }
+  }
+
+  // Step 4: Crop every region from the single image
+  console.log(`Creating ${regions.length} crops from single image...`);
+  const crops = await runStep(job, "crops", () =>
+    Promise.all(
+      regions.map((region) =>
+        getCroppedSection(
+          imageBuffer,
+          region.x,
+          region.y,
+          region.width,
+          region.height
+        )
+      )
+    )
+  );
+
+  console.log("All crops completed, extracting colors...");
+
+  // Step 5: Extract colors from each crop with the configured mode
+  const extractions = await runStep(job, "colors", () =>
+    Promise.all(
+      regions.map((region, index) =>
+        getDominantColor(
+          crops[index],
+          region,
+          getExtractionSettings(location, region)
+        )
+      )
+    )
+  );
+
+  const colorData = {
+    colors: Object.fromEntries(
+      regions.map((region, index) => [region.name, extractions[index].hex])
+    ),
+    extraction: Object.fromEntries(
+      regions.map((region, index) => {
+        const { hex, ...details } = extractions[index];
+        return [region.name, details];
+      })
+    )
+  };
+
+  // Record where the crops were moved to
+  if (transform) {
+    colorData.calibration = {
+      scale: transform.scale,
+      offsetX: transform.offsetX,
+      offsetY: transform.offsetY,
+      score: transform.score
+    };
+  }
+
+  console.log("Colors extracted:", colorData.colors);
+
+  return { colorData, regions, crops };
+}
+
+// Capture health checks: every captured frame is compared with the previous
+// one (an identical pixel hash means the stream is frozen), checked for black
+// or blank frames by its luminance and contrast, and compared with a saved
+// reference frame to catch the camera pointing somewhere else. Failing frames
+// are still saved, but their sample is flagged with health.ok = false.
+const healthStates = new Map();
+
+function getHealthState(locationId) {
+  if (!healthStates.has(locationId)) {
+    healthStates.set(locationId, {
+      lastCheck: null,
+      lastRejection: null,
+      consecutiveRejections: 0,
+      totalRejections: 0
+    });
+  }
+
+  return healthStates.get(locationId);
+}
+
+// Health check settings, with defaults for anything missing from config.json
+function getHealthConfig(location) {
+  const health = location.health || {};
+
+  return {
+    enabled: health.enabled !== false,
+    frozen: health.frozen !== false,
+    minLuminance: health.minLuminance ?? 0.03,
+    minContrast: health.minContrast ?? 0.02,
+    referenceImage: health.referenceImage
+      ? path.resolve(health.referenceImage)
+      : path.join(location.dataDir, "reference.png"),
+    minReferenceSimilarity: health.minReferenceSimilarity ?? 0.4,
+    // Below this mean luminance the viewpoint can't be compared reliably
+    minReferenceLuminance: health.minReferenceLuminance ?? 0.12
+  };
+}
+
+// Decode a frame to raw RGB pixels, shared by health checks and calibration
+async function decodeFrame(imageBuffer) {
+  const { width, height } = getImageDimensions(imageBuffer);
+  return { width, height, pixels: await getRawPixels(imageBuffer) };
+}
+
+// A location's reference frame, decoded and cached until the file changes
+const referenceFrames = new Map();
+
+async function getReferenceFrame(filePath) {
+  const { mtimeMs } = fs.statSync(filePath);
+  const cached = referenceFrames.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.frame;
+  }
+
+  const frame = await decodeFrame(
+    await convertToPng(fs.readFileSync(filePath))
+  );
+
+  referenceFrames.set(filePath, { mtimeMs, frame });
+  return frame;
+}
+
+// Run the health checks on a decoded frame. `previousHash` is the frame hash
+// stored with the location's previous sample, if any, and `match` the frame's
+// calibration result when crops follow the camera automatically.
+async function checkFrameHealth(location, frame, previousHash, match = null) {
+  const settings = getHealthConfig(location);
+  const { width, height, pixels } = frame;
+  const frameHash = crypto.createHash("sha256").update(pixels).digest("hex");
+  const { meanLuminance, luminanceStdDev } = getFrameStats(
+    pixels,
+    width,
+    height
+  );
+
+  const checks = {
+    luminance: {
+      passed: meanLuminance >= settings.minLuminance,
+      value: round(meanLuminance, 4),
+      min: settings.minLuminance
+    },
+    contrast: {
+      passed: luminanceStdDev >= settings.minContrast,
+      value: round(luminanceStdDev, 4),
+      min: settings.minContrast
+    }
+  };
+
+  if (settings.frozen) {
+    checks.frozen = { passed: !previousHash || frameHash !== previousHash };
+  }
+
+  if (fs.existsSync(settings.referenceImage)) {
+    if (meanLuminance < settings.minReferenceLuminance) {
+      checks.viewpoint = { passed: true, skipped: "frame too dark to compare" };
+    } else if (match && match.applied) {
+      // The crops were moved to follow the camera, so judge the moved view
+      checks.viewpoint = {
+        passed: match.score >= settings.minReferenceSimilarity,
+        value: match.score,
+        min: settings.minReferenceSimilarity,
+        calibrated: true
+      };
+    } else {
+      try {
+        const reference = await getReferenceFrame(settings.referenceImage);
+        const similarity = getThumbnailSimilarity(
+          getFrameThumbnail(pixels, width, height),
+          getFrameThumbnail(reference.pixels, reference.width, reference.height)
+        );
+        checks.viewpoint = {
+          passed: similarity >= settings.minReferenceSimilarity,
+          value: round(similarity, 3),
+          min: settings.minReferenceSimilarity
+        };
+      } catch (error) {
+        // A broken reference image shouldn't reject every capture
+        console.error("Error comparing frame with reference:", error);
+        checks.viewpoint = { passed: true, skipped: error.message };
+      }
+    }
+  }
+
+  const reasons = Object.entries(checks)
+    .filter(([, check]) => !check.passed)
+    .map(([name]) => name);
+
+  return {
+    ok: reasons.length === 0,
+    checkedAt: Date.now(),
+    reasons,
+    frameHash,
+    checks
+  };
+}
+
+// Crop calibration: each frame can be matched against the location's
+// reference frame to find how far the view has shifted and zoomed. A match
+// is a transform { scale, offsetX, offsetY } in fractions of the frame, with
+// the scale taken about the frame's center. In "auto" mode accepted matches
+// move the crops to follow the camera; in "propose" mode they are only
+// recorded, along with corrected coordinates for config.json.
+
+// Calibration settings, with defaults for anything missing from config.json
+function getCalibrationConfig(location) {
+  const calibration = location.crops.calibration || {};
+
+  return {
+    mode: calibration.mode || "off",
+    // Edge correlation a match needs before it's trusted
+    minScore: calibration.minScore ?? 0.5,
+    // Largest shift (fraction of the frame) and zoom change searched for
+    maxOffset: calibration.maxOffset ?? 0.05,
+    maxScaleChange: calibration.maxScaleChange ?? 0.08
+  };
+}
+
+function getCalibrationFile(location) {
+  return path.join(location.dataDir, "calibration.json");
+}
+
+// Saved calibration state: { lastMatch, applied }, where applied is the
+// transform crops currently follow in "auto" mode
+function readCalibration(location) {
+  const filePath = getCalibrationFile(location);
+
+  if (!fs.existsSync(filePath)) {
+    return { lastMatch: null, applied: null };
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function writeCalibration(location, calibration) {
+  fs.mkdirSync(location.dataDir, { recursive: true });
+  fs.writeFileSync(
+    getCalibrationFile(location),
+    JSON.stringify(calibration, null, 2)
+  );
+}
+
+// Match a decoded frame against the location's reference frame. Returns null
+// without a reference frame, or a match that is skipped for dark frames.
+async function calibrateFrame(location, frame) {
+  const settings = getCalibrationConfig(location);
+  const { referenceImage, minReferenceLuminance } = getHealthConfig(location);
+
+  if (!fs.existsSync(referenceImage)) {
+    return null;
+  }
+
+  const reference = await getReferenceFrame(referenceImage);
+  const match = {
+    matchedAt: Date.now(),
+    frame: { width: frame.width, height: frame.height },
+    reference: { width: reference.width, height: reference.height }
+  };
+
+  // Night frames have too little structure to line up
+  const { meanLuminance } = getFrameStats(
+    frame.pixels,
+    frame.width,
+    frame.height
+  );
+  if (meanLuminance < minReferenceLuminance) {
+    return { ...match, skipped: "frame too dark to compare", accepted: false };
+  }
+
+  const transform = matchFrameToReference(reference, frame, settings);
+
+  return {
+    ...match,
+    ...transform,
+    accepted: transform.score >= settings.minScore
+  };
+}
+
+// Match a captured frame and record the result. Returns the transform the
+// crops should follow for this frame, or null to use them as configured.
+async function updateCalibration(location, frame) {
+  const { mode } = getCalibrationConfig(location);
+  const calibration = readCalibration(location);
+
+  let match = null;
+  try {
+    match = await calibrateFrame(location, frame);
+  } catch (error) {
+    console.error(`Error calibrating crops for ${location.id}:`, error);
+  }
+
+  if (match) {
+    calibration.lastMatch = match;
+
+    if (match.accepted && mode === "auto") {
+      calibration.applied = match;
+      match.applied = true;
+    } else if (match.accepted) {
+      console.log(
+        `Proposed crop calibration for ${location.id}: scale ${match.scale}, offset ${match.offsetX}, ${match.offsetY} (score ${match.score})`
+      );
+    }
+
+    writeCalibration(location, calibration);
+  }
+
+  // Keep following the last accepted match through dark or unclear frames
+  return { match, transform: mode === "auto" ? calibration.applied : null };
+}
+
+// The transform crops currently follow, for requests outside a capture
+function getAppliedCalibration(location) {
+  return getCalibrationConfig(location).mode === "auto"
+    ? readCalibration(location).applied
+    : null;
+}
+
+// Crop coordinates for config.json that include a match's correction, in the
+// same units as crops.coordinates
+function proposeCropCoordinates(location, match) {
+  const relative = location.crops.units === "relative";
+  const regions = getCropRegions(
+    location,
+    match.frame.width,
+    match.frame.height,
+    match
+  );
+
+  return Object.fromEntries(
+    regions.map(({ name, x, y, width, height, mask }) => {
+      const original = location.crops.coordinates[name];
+      const proposed = relative
+        ? {
+            x: round(x / match.frame.width, 4),
+            y: round(y / match.frame.height, 4),
+            width: round(width / match.frame.width, 4),
+            height: round(height / match.frame.height, 4)
+          }
+        : { x, y, width, height };
+
+      if (mask) {
+        proposed.mask = mask.map(([px, py]) =>
+          relative
+            ? [round(px / width, 4), round(py / height, 4)]
+            : [Math.round(px), Math.round(py)]
+        );
+      }
+
+      return [name, { ...original, ...proposed }];
+    })
+  );
+}
+
+// Keep track of health check results for /api/status
+function recordHealthCheck(location, health) {
+  const state = getHealthState(location.id);
+  state.lastCheck = health;
+
+  if (health.ok) {
+    state.consecutiveRejections = 0;
+    return;
+  }
+
+  state.lastRejection = health;
+  state.consecutiveRejections++;
+  state.totalRejections++;
+  console.error(
+    `Frame for ${location.id} failed health checks (${health.reasons.join(", ")}), flagging sample`
+  );
+}
+
+// Live events: /api/stream (Server-Sent Events) and /api/ws (WebSocket)
+// subscribers get "capture-started", "sample" and "capture-failed" events as
+// captures run. Each subscriber is { locationId, format, send(event) }, where
+// a null locationId means every location.
+const eventSubscribers = new Set();
+let lastEventId = 0;
+
+// Failed captures in a row per location, reset by the next successful one
+const consecutiveCaptureFailures = new Map();
+
+// Build the payload for a subscriber, formatting sample colors as requested
+function formatLiveEvent(event, format) {
+  if (event.type !== "sample" || format !== "v2") {
+    return event.data;
+  }
+
+  return {
+    ...event.data,
+    colors: formatColorsV2(event.data.colors, event.data.extraction)
+  };
+}
+
+function broadcastEvent(type, location, data) {
+  const event = {
+    id: ++lastEventId,
+    type,
+    data: { location: location.id, ...data }
+  };
+
+  for (const subscriber of eventSubscribers) {
+    if (subscriber.locationId && subscriber.locationId !== location.id) {
+      continue;
+    }
+
+    try {
+      subscriber.send(event);
+    } catch (error) {
+      // A broken connection shouldn't stop the others from getting the event
+      console.error("Error sending live event:", error);
+      eventSubscribers.delete(subscriber);
+    }
+  }
+
+  deliverWebhooks(event);
+}
+
+// Largest color change across regions between two samples, as ΔE in OKLab
+// (Euclidean distance scaled by 100), or null without a previous sample
+function getColorChange(previousColors, colors) {
+  if (!previousColors) return null;
+
+  const distances = Object.entries(colors)
+    .filter(([direction]) => previousColors[direction])
+    .map(([direction, hex]) =>
+      oklabDistance(
+        rgbToOklab(hexToRgb(previousColors[direction])),
+        rgbToOklab(hexToRgb(hex))
+      )
+    );
+
+  return distances.length > 0 ? round(Math.max(...distances) * 100, 2) : null;
+}
+
+// Outbound webhooks: live events are also POSTed to webhook URLs, either
+// listed under config.webhooks.endpoints or registered through
+// /admin/webhooks (persisted in data/webhooks.json). Each endpoint is
+// { id, url, secret, events, locations, filters }. The delivery log, with the
+// body of deliveries still being retried, is kept in
+// data/webhook-deliveries.json so pending retries resume after a restart.
+const webhookEvents = ["sample", "capture-started", "capture-failed"];
+const webhooksFile = path.join(dataDir, "webhooks.json");
+const webhookDeliveriesFile = path.join(dataDir, "webhook-deliveries.json");
+const webhookDeliveries = [];
+let lastDeliveryId = 0;
+
+// Webhook settings, with defaults for anything missing from config.json
+function getWebhookConfig() {
+  const webhooks = config.webhooks || {};
+  const retry = webhooks.retry || {};
+
+  return {
+    endpoints: webhooks.endpoints || [],
+    timeoutSeconds: webhooks.timeoutSeconds ?? 10,
+    maxLogEntries: webhooks.maxLogEntries ?? 500,
+    retry: {
+      maxAttempts: retry.maxAttempts ?? 5,
+      initialDelaySeconds: retry.initialDelaySeconds ?? 10,
+      maxDelaySeconds: retry.maxDelaySeconds ?? 600
+    }
+  };
+}
+
+// Check a webhook definition, filling in defaults. Throws on anything invalid.
+function normalizeWebhook(webhook, source) {
+  if (!webhook || typeof webhook !== "object") {
+    throw new Error("Webhook must be an object");
+  }
+
+  let url;
+  try {
+    url = new URL(webhook.url);
+  } catch {
+    throw new Error("Webhook url must be an absolute http(s) URL");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error("Webhook url must be an absolute http(s) URL");
+  }
+
+  const events = webhook.events || ["sample"];
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    events.some((event) => !webhookEvents.includes(event))
+  ) {
+    throw new Error(`Webhook events must be from: ${webhookEvents.join(", ")}`);
+  }
+
+  const locations = webhook.locations || null;
+  if (
+    locations &&
+    (!Array.isArray(locations) || locations.some((id) => !getLocation(id)))
+  ) {
+    throw new Error(
+      `Webhook locations must be from: ${getLocations()
+        .map((l) => l.id)
+        .join(", ")}`
+    );
+  }
+
+  const filters = webhook.filters || {};
+  for (const key of ["minDeltaE", "minConsecutiveFailures"]) {
+    if (
+      filters[key] !== undefined &&
+      (!Number.isFinite(filters[key]) || filters[key] < 0)
+    ) {
+      throw new Error(`Webhook filter ${key} must be a non-negative number`);
+    }
+  }
+
+  if (webhook.secret !== undefined && typeof webhook.secret !== "string") {
+    throw new Error("Webhook secret must be a string");
+  }
+
+  return {
+    id: webhook.id,
+    url: url.toString(),
+    secret: webhook.secret || null,
+    events,
+    locations,
+    filters,
+    source
+  };
+}
+
+function readRegisteredWebhooks() {
+  if (!fs.existsSync(webhooksFile)) {
+    return [];
+  }
+
+  return JSON.parse(fs.readFileSync(webhooksFile, "utf8"));
+}
+
+function writeRegisteredWebhooks(webhooks) {
+  fs.writeFileSync(webhooksFile, JSON.stringify(webhooks, null, 2));
+}
+
+// All webhooks, from config.json first and then those registered at runtime.
+// Invalid entries are logged and skipped so they can't stop deliveries to
+// the others.
+function getWebhooks() {
+  const normalizeAll = (webhooks, source) =>
+    webhooks.flatMap((webhook) => {
+      try {
+        return [normalizeWebhook(webhook, source)];
+      } catch (error) {
+        console.error(
+          `Skipping invalid webhook ${webhook && webhook.id}: ${error.message}`
+        );
+        return [];
+      }
+    });
+
+  return [
+    ...normalizeAll(
+      getWebhookConfig().endpoints.map((webhook, index) => ({
+        ...webhook,
+        id: webhook.id || `config-${index + 1}`
+      })),
+      "config"
+    ),
+    ...normalizeAll(readRegisteredWebhooks(), "api")
+  ];
+}
+
+function saveWebhookDeliveries() {
+  // Write to a temporary file first so a crash never leaves half a file
+  fs.writeFileSync(
+    `${webhookDeliveriesFile}.tmp`,
+    JSON.stringify(webhookDeliveries)
+  );
+  fs.renameSync(`${webhookDeliveriesFile}.tmp`, webhookDeliveriesFile);
+}
+
+// Load the delivery log at server start and resume pending retries. A
+// delivery whose webhook has since been removed is marked failed.
+function loadWebhookDeliveries() {
+  if (!fs.existsSync(webhookDeliveriesFile)) return;
+
+  webhookDeliveries.push(
+    ...JSON.parse(fs.readFileSync(webhookDeliveriesFile, "utf8"))
+  );
+  lastDeliveryId = webhookDeliveries.reduce(
+    (max, delivery) => Math.max(max, delivery.id),
+    0
+  );
+
+  const webhooks = getWebhooks();
+  const pending = webhookDeliveries.filter(
+    (delivery) => delivery.status === "pending"
+  );
+
+  for (const delivery of pending) {
+    const webhook = webhooks.find((w) => w.id === delivery.webhookId);
+
+    if (!webhook) {
+      delivery.status = "failed";
+      delivery.error = "Webhook no longer exists";
+      delete delivery.body;
+      delete delivery.nextAttemptAt;
+      continue;
+    }
+
+    setTimeout(
+      () => {
+        delete delivery.nextAttemptAt;
+        attemptWebhookDelivery(webhook, delivery, delivery.body);
+      },
+      Math.max((delivery.nextAttemptAt || 0) - Date.now(), 0)
+    ).unref();
+  }
+
+  if (pending.length > 0) {
+    console.log(`Resuming ${pending.length} pending webhook deliveries`);
+    saveWebhookDeliveries();
+  }
+}
+
+// Webhook as shown by the admin API, without its secret
+function describeWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return { ...rest, signed: Boolean(secret) };
+}
+
+// Whether an event passes a webhook's event, location and threshold filters
+function webhookMatchesEvent(webhook, event) {
+  if (!webhook.events.includes(event.type)) return false;
+  if (webhook.locations && !webhook.locations.includes(event.data.location)) {
+    return false;
+  }
+
+  const { minDeltaE, minConsecutiveFailures } = webhook.filters;
+
+  // The first sample of a location has no previous one to compare against
+  if (
+    event.type === "sample" &&
+    minDeltaE !== undefined &&
+    event.data.deltaE !== null &&
+    event.data.deltaE < minDeltaE
+  ) {
+    return false;
+  }
+
+  // Fire once when a failure streak reaches the threshold, not on every failure after it
+  if (
+    event.type === "capture-failed" &&
+    minConsecutiveFailures !== undefined &&
+    event.data.consecutiveFailures !== minConsecutiveFailures
+  ) {
+    return false;
+  }
+
+  return true;
+}
+
+// Queue a delivery of the event to every matching webhook
+function deliverWebhooks(event) {
+  let webhooks;
+  try {
+    webhooks = getWebhooks();
+  } catch (error) {
+    console.error("Invalid webhook configuration:", error);
+    return;
+  }
+
+  for (const webhook of webhooks) {
+    if (!webhookMatchesEvent(webhook, event)) continue;
+
+    const { maxLogEntries } = getWebhookConfig();
+    const delivery = {
+      id: ++lastDeliveryId,
+      webhookId: webhook.id,
+      event: event.type,
+      location: event.data.location,
+      status: "pending",
+      createdAt: Date.now(),
+      attempts: []
+    };
+
+    webhookDeliveries.push(delivery);
+    if (webhookDeliveries.length > maxLogEntries) {
+      webhookDeliveries.splice(0, webhookDeliveries.length - maxLogEntries);
+    }
+
+    // Kept until the delivery succeeds or fails for good, to retry it after
+    // a restart
+    delivery.body = JSON.stringify({
+      delivery: delivery.id,
+      event: event.type,
+      timestamp: delivery.createdAt,
+      data: event.data
+    });
+    saveWebhookDeliveries();
+
+    attemptWebhookDelivery(webhook, delivery, delivery.body);
+  }
+}
+
+// POST one delivery, retrying with exponential backoff until it gets a 2xx
+// response or runs out of attempts
+async function attemptWebhookDelivery(webhook, delivery, body) {
+  const { timeoutSeconds, retry } = getWebhookConfig();
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "nyc-sky-colors-webhooks",
+    "X-Sky-Colors-Event": delivery.event,
+    "X-Sky-Colors-Delivery": String(delivery.id)
+  };
+
+  // GitHub-style signature over the raw body, so receivers can verify it
+  if (webhook.secret) {
+    headers["X-Sky-Colors-Signature"] =
+      "sha256=" +
+      crypto.createHmac("sha256", webhook.secret).update(body).digest("hex");
+  }
+
+  const attempt = { at: Date.now() };
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(timeoutSeconds * 1000)
+    });
+    attempt.statusCode = response.status;
+    if (!response.ok) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+  attempt.durationMs = Date.now() - attempt.at;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = "delivered";
+    delete delivery.body;
+    saveWebhookDeliveries();
+    console.log(
+      `Webhook ${webhook.id} received ${delivery.event} delivery ${delivery.id}`
+    );
+    return;
+  }
+
+  if (delivery.attempts.length >= retry.maxAttempts) {
+    delivery.status = "failed";
+    delete delivery.body;
+    saveWebhookDeliveries();
+    console.error(
+      `Webhook ${webhook.id} delivery ${delivery.id} failed after ${delivery.attempts.length} attempts: ${attempt.error}`
+    );
+    return;
+  }
+
+  const delaySeconds = Math.min(
+    retry.initialDelaySeconds * 2 ** (delivery.attempts.length - 1),
+    retry.maxDelaySeconds
+  );
+  delivery.nextAttemptAt = Date.now() + delaySeconds * 1000;
+  saveWebhookDeliveries();
+  console.log(
+    `Webhook ${webhook.id} delivery ${delivery.id} failed (${attempt.error}), retrying in ${delaySeconds}s`
+  );
+
+  setTimeout(() => {
+    delete delivery.nextAttemptAt;
+    attemptWebhookDelivery(webhook, delivery, body);
+  }, delaySeconds * 1000).unref();
+}
+
+// Capture jobs: every capture run, manual or scheduled, is recorded with its
+// state, per-step timings, error and the sample it saved. The most recent
+// jobs.maxEntries are kept in data/jobs.json so history survives restarts.
+const jobStates = ["queued", "running", "succeeded", "failed"];
+const jobsFile = path.join(dataDir, "jobs.json");
+let jobs = [];
+let lastJobId = 0;
+
+function getJobsConfig() {
+  const settings = config.jobs || {};
+
+  return {
+    maxEntries: settings.maxEntries ?? 500
+  };
+}
+
+// Load job history at server start. Jobs that were still queued or running
+// were cut off by the restart and are marked failed.
+function loadJobs() {
+  jobs = fs.existsSync(jobsFile)
+    ? JSON.parse(fs.readFileSync(jobsFile, "utf8"))
+    : [];
+  lastJobId = jobs.reduce((max, job) => Math.max(max, job.id), 0);
+
+  const interrupted = jobs.filter(
+    (job) => job.state === "queued" || job.state === "running"
+  );
+  for (const job of interrupted) {
+    const runningStep = job.steps.find((step) => step.state === "running");
+    if (runningStep) {
+      runningStep.state = "failed";
+    }
+
+    job.state = "failed";
+    job.finishedAt = Date.now();
+    job.durationMs = job.finishedAt - (job.startedAt || job.createdAt);
+    job.error = {
+      step: runningStep ? runningStep.name : null,
+      message: "Interrupted by a server restart"
+    };
+  }
+
+  if (interrupted.length > 0) {
+    console.log(
+      `Marked ${interrupted.length} interrupted capture job(s) failed`
+    );
+    saveJobs();
+  }
+}
+
+function saveJobs() {
+  const { maxEntries } = getJobsConfig();
+  if (jobs.length > maxEntries) {
+    jobs.splice(0, jobs.length - maxEntries);
+  }
+
+  // Write to a temporary file first so a crash never leaves half a file
+  fs.writeFileSync(`${jobsFile}.tmp`, JSON.stringify(jobs, null, 2));
+  fs.renameSync(`${jobsFile}.tmp`, jobsFile);
+}
+
+function createCaptureJob(location, trigger) {
+  const job = {
+    id: ++lastJobId,
+    type: "capture",
+    location: location.id,
+    trigger,
+    state: "queued",
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    steps: [],
+    error: null,
+    sample: null
+  };
+
+  jobs.push(job);
+  saveJobs();
+  return job;
+}
+
+function getJob(id) {
+  return jobs.find((job) => job.id === id) || null;
+}
+
+// Run one step of a job, recording when it started, how long it took and
+// whether it failed. Without a job (e.g. when reprocessing) the step just runs.
+async function runStep(job, name, fn) {
+  if (!job) {
+    return await fn();
+  }
+
+  const step = {
+    name,
+    state: "running",
+    startedAt: Date.now(),
+    durationMs: null
+  };
+  job.steps.push(step);
+  // Saved as each step starts, so a restart shows where a job was cut off
+  saveJobs();
+
+  try {
+    const result = await fn();
+    step.state = "succeeded";
+    return result;
+  } catch (error) {
+    step.state = "failed";
+    step.error = error.message;
+    throw error;
+  } finally {
+    step.durationMs = Date.now() - step.startedAt;
+  }
+}
+
+function finishJob(job, error = null) {
+  job.finishedAt = Date.now();
+  job.durationMs = job.finishedAt - (job.startedAt || job.createdAt);
+
+  if (error) {
+    const failedStep = job.steps.findLast((step) => step.state === "failed");
+    job.state = "failed";
+    job.error = {
+      step: failedStep ? failedStep.name : null,
+      message: error.message
+    };
+  } else {
+    job.state = "succeeded";
+  }
+
+  saveJobs();
+}
+
+// Captures a frame for a location and saves its sample. Scheduled captures
+// pass the slot they were scheduled for, so a slow capture or a retry is
+// still stored under that slot; other captures use the time they finish.
+async function updateCacheFiles(
+  location = getDefaultLocation(),
+  job = createCaptureJob(location, "manual"),
+  slot = null
+) {
+  if (updatesInProgress.has(location.id)) {
+    console.log(`Update already in progress for ${location.id}, skipping...`);
+    finishJob(job, new Error("Update already in progress"));
+    return;
+  }
+
+  updatesInProgress.add(location.id);
+  console.log(`Updating cache files for ${location.id} (job ${job.id})...`);
+  job.state = "running";
+  job.startedAt = Date.now();
+  saveJobs();
+  broadcastEvent("capture-started", location, { startedAt: Date.now() });
+
+  try {
+    // Step 1: Get the full frame image once
+    console.log("Getting full frame image...");
+    const imageBuffer = await runStep(job, "frame", () =>
+      getFrameData(location.source, job)
+    );
+    console.log("Got full frame buffer:", imageBuffer.length, "bytes");
+
+    const storage = getStorage(location);
+    const previous = await runStep(job, "previous", () =>
+      storage.getLatestSample()
+    );
+    const healthEnabled = getHealthConfig(location).enabled;
+    const calibrationEnabled = getCalibrationConfig(location).mode !== "off";
+    const frame =
+      healthEnabled || calibrationEnabled
+        ? await runStep(job, "decode", () => decodeFrame(imageBuffer))
+        : null;
+
+    // Line the frame up with the reference view to place the crops
+    let calibration = { match: null, transform: null };
+    if (calibrationEnabled) {
+      calibration = await runStep(job, "calibration", () =>
+        updateCalibration(location, frame)
+      );
+    }
+
+    // Check the frame isn't frozen, black or showing a different view
+    let health = null;
+    if (healthEnabled) {
+      health = await runStep(job, "health", () =>
+        checkFrameHealth(
+          location,
+          frame,
+          previous && previous.sample.health
+            ? previous.sample.health.frameHash
+            : null,
+          calibration.match
+        )
+      );
+      recordHealthCheck(location, health);
+    }
+
+    // Steps 2-5: Crop the regions and extract their colors
+    const { colorData, regions, crops } = await extractColorData(
+      location,
+      imageBuffer,
+      calibration.transform,
+      job
+    );
+
+    // Step 6: Save timestamped JSON file with colors
+    // Local date and time key for the location, e.g. 2025-11-02 and 01:15b
+    // for the second 1:15 AM of the night clocks fall back
+    const { date: dateFolder, time: nycTime } = getSlotKey(
+      slot ?? Date.now(),
+      location.timezone
+    );
+
+    const timestamp = getSampleTimestamp(location, dateFolder, nycTime);
+    colorData.condition = classifySkyCondition(
+      location,
+      colorData.colors,
+      timestamp
+    );
+    colorData.astronomy = getAstronomy(location, timestamp);
+    if (health) {
+      colorData.health = health;
+    }
+
+    await runStep(job, "save", () =>
+      storage.saveSample(dateFolder, nycTime, colorData)
+    );
+    job.sample = { date: dateFolder, time: nycTime, timestamp };
+    consecutiveCaptureFailures.delete(location.id);
+    console.log(
+      `Saved color data for ${location.id} at ${dateFolder} ${nycTime}`
+    );
+    broadcastEvent("sample", location, {
+      date: dateFolder,
+      time: nycTime,
+      timestamp,
+      colors: colorData.colors,
+      extraction: colorData.extraction,
+      condition: colorData.condition,
+      astronomy: colorData.astronomy,
+      health: colorData.health || null,
+      deltaE: getColorChange(
+        previous && previous.sample.colors,
+        colorData.colors
+      )
+    });
+
+    // Statistics are best effort as well; samples they miss are read back
+    // from storage the next time they are loaded
+    try {
+      recordSampleStats(location, {
+        date: dateFolder,
+        time: nycTime,
+        timestamp,
+        sample: colorData
+      });
+    } catch (error) {
+      console.error("Error updating statistics:", error);
+    }
+
+    // Step 7: Archive the frame and crops, if enabled
+    if (getArchiveConfig(location).enabled) {
+      try {
+        await runStep(job, "archive", async () => {
+          await archiveFrame(
+            location,
+            dateFolder,
+            nycTime.replace(":", "-"),
+            imageBuffer,
+            regions,
+            crops
+          );
+          enforceArchiveRetention(location);
+        });
+      } catch (error) {
+        // Archiving is best effort, the color sample is already saved
+        console.error("Error archiving frame:", error);
+      }
+    }
+
+    finishJob(job);
+    console.log("Cache update completed successfully");
+  } catch (err) {
+    console.error("Error updating cache files:", err);
+    finishJob(job, err);
+    const failures = (consecutiveCaptureFailures.get(location.id) || 0) + 1;
+    consecutiveCaptureFailures.set(location.id, failures);
+    broadcastEvent("capture-failed", location, {
+      failedAt: Date.now(),
+      error: err.message,
+      consecutiveFailures: failures
+    });
+    throw err;
+  } finally {
+    updatesInProgress.delete(location.id);
+  }
+}
+
+// Reprocessing: recompute colors from archived frames with the current crop
+// and extraction settings. Each run is written as a numbered revision under
+// <dataDir>/revisions/<n>/YYYY-MM-DD/HH-MM.json with a manifest.json, so the
+// original samples are never overwritten.
+const reprocessInProgress = new Set();
+
+function getRevisionsDir(location) {
+  return path.join(location.dataDir, "revisions");
+}
+
+function listRevisions(location) {
+  const revisionsDir = getRevisionsDir(location);
+
+  if (!fs.existsSync(revisionsDir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(revisionsDir)
+    .filter((item) => /^\d+$/.test(item))
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+function readRevisionManifest(location, revision) {
+  const manifestPath = path.join(
+    getRevisionsDir(location),
+    String(revision),
+    "manifest.json"
+  );
+
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+// Archived frames between two dates (inclusive), oldest first
+function listArchivedFramesInRange(location, fromDate, toDate) {
+  const frames = [];
+
+  const dateFolders = fs
+    .readdirSync(location.dataDir)
+    .filter(
+      (item) =>
+        /^\d{4}-\d{2}-\d{2}$/.test(item) &&
+        item >= fromDate &&
+        item <= toDate &&
+        fs.statSync(path.join(location.dataDir, item)).isDirectory()
+    )
+    .sort((a, b) => a.localeCompare(b));
+
+  for (const dateFolder of dateFolders) {
+    const timeKeys = fs
+      .readdirSync(path.join(location.dataDir, dateFolder))
+      .map((file) => file.match(/^(\d{2}-\d{2}b?)\.frame\.(jpg|webp)$/))
+      .filter(Boolean)
+      .map((match) => match[1])
+      .sort((a, b) => a.localeCompare(b));
+
+    for (const timeKey of [...new Set(timeKeys)]) {
+      frames.push({ date: dateFolder, timeKey });
+    }
+  }
+
+  return frames;
+}
+
+function validateDateRange(fromDate, toDate) {
+  for (const date of [fromDate, toDate]) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error("Invalid date format. Expected YYYY-MM-DD");
+    }
+  }
+
+  if (fromDate > toDate) {
+    throw new Error("The from date must not be after the to date");
+  }
+}
+
+// Start reprocessing a date range for a location. Resolves with the final
+// manifest; `onProgress` is called after every frame.
+async function reprocessArchivedFrames(location, fromDate, toDate, onProgress) {
+  validateDateRange(fromDate, toDate);
+
+  if (reprocessInProgress.has(location.id)) {
+    throw new Error(`Reprocessing already in progress for ${location.id}`);
+  }
+
+  reprocessInProgress.add(location.id);
+
+  try {
+    const revision = (listRevisions(location).pop() || 0) + 1;
+    const revisionDir = path.join(getRevisionsDir(location), String(revision));
+    fs.mkdirSync(revisionDir, { recursive: true });
+
+    const frames = listArchivedFramesInRange(location, fromDate, toDate);
+
+    const manifest = {
+      revision,
+      location: location.id,
+      from: fromDate,
+      to: toDate,
+      state: "running",
+      startedAt: Date.now(),
+      finishedAt: null,
+      settings: { crops: location.crops },
+      progress: {
+        total: frames.length,
+        processed: 0,
+        succeeded: 0,
+        failed: 0
+      },
+      failures: []
+    };
+
+    const writeManifest = () =>
+      fs.writeFileSync(
+        path.join(revisionDir, "manifest.json"),
+        JSON.stringify(manifest, null, 2)
+      );
+
+    writeManifest();
+    console.log(
+      `Reprocessing ${frames.length} frames for ${location.id} (${fromDate} to ${toDate}) as revision ${revision}`
+    );
+
+    for (const frame of frames) {
+      try {
+        const image = findArchivedImage(
+          location,
+          frame.date,
+          frame.timeKey,
+          "frame"
+        );
+        const imageBuffer = await convertToPng(fs.readFileSync(image.filePath));
+
+        // Follow the camera as a live capture would have
+        let transform = null;
+        if (getCalibrationConfig(location).mode === "auto") {
+          const match = await calibrateFrame(
+            location,
+            await decodeFrame(imageBuffer)
+          );
+          transform = match && match.accepted ? match : null;
+        }
+
+        const { colorData } = await extractColorData(
+          location,
+          imageBuffer,
+          transform
+        );
+        const timestamp = getSampleTimestamp(
+          location,
+          frame.date,
+          frame.timeKey.replace("-", ":")
+        );
+        colorData.condition = classifySkyCondition(
+          location,
+          colorData.colors,
+          timestamp
+        );
+        colorData.astronomy = getAstronomy(location, timestamp);
+
+        const dateFolderPath = path.join(revisionDir, frame.date);
+        fs.mkdirSync(dateFolderPath, { recursive: true });
+        fs.writeFileSync(
+          path.join(dateFolderPath, `${frame.timeKey}.json`),
+          JSON.stringify(
+            { ...colorData, revision, reprocessedAt: Date.now() },
+            null,
+            2
+          )
+        );
+
+        manifest.progress.succeeded++;
+      } catch (error) {
+        console.error(
+          `Error reprocessing ${frame.date} ${frame.timeKey}:`,
+          error.message
+        );
+        manifest.progress.failed++;
+        manifest.failures.push({
+          date: frame.date,
+          time: frame.timeKey.replace("-", ":"),
+          error: error.message
+        });
+      }
+
+      manifest.progress.processed++;
+      writeManifest();
+
+      if (onProgress) {
+        onProgress(manifest, frame);
+      }
+    }
+
+    manifest.state =
+      manifest.progress.failed > 0 ? "completed-with-errors" : "completed";
+    manifest.finishedAt = Date.now();
+    writeManifest();
+
+    console.log(
+      `Reprocessing revision ${revision} for ${location.id} finished: ${manifest.progress.succeeded} succeeded, ${manifest.progress.failed} failed`
+    );
+
+    return manifest;
+  } finally {
+    reprocessInProgress.delete(location.id);
+  }
+}
+
+// CLI entry point: node server.js reprocess --from YYYY-MM-DD --to YYYY-MM-DD [--location id]
+async function runReprocessCli(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    options[args[i].replace(/^--/, "")] = args[i + 1];
+  }
+
+  if (!options.from || !options.to) {
+    console.error(
+      "Usage: node server.js reprocess --from YYYY-MM-DD --to YYYY-MM-DD [--location id]"
+    );
+    return 1;
+  }
+
+  const location = options.location
+    ? getLocation(options.location)
+    : getDefaultLocation();
+
+  if (!location) {
+    console.error(`Unknown location "${options.location}"`);
+    return 1;
+  }
+
+  try {
+    const manifest = await reprocessArchivedFrames(
+      location,
+      options.from,
+      options.to,
+      (progress, frame) => {
+        console.log(
+          `[${progress.progress.processed}/${progress.progress.total}] ${frame.date} ${frame.timeKey.replace("-", ":")}`
+        );
+      }
+    );
+
+    return manifest.progress.failed > 0 ? 2 : 0;
+  } catch (error) {
+    console.error("Reprocessing failed:", error.message);
+    return 1;
+  }
+}
+
+// CLI entry point: node server.js migrate-storage
+// Imports every sample from the data/ tree into the SQLite store, skipping
+// samples that are already there, so it is safe to run more than once.
+async function runMigrateStorageCli() {
+  const db = openSqliteDatabase();
+
+  for (const location of getLocations()) {
+    const fileStorage = getStorage(location, "filesystem");
+    const sqliteStorage = getStorage(location, "sqlite");
+
+    let imported = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const { date } of fileStorage.listDates()) {
+      let samples;
+      try {
+        samples = fileStorage.getSamplesForDate(date);
+      } catch (error) {
+        console.error(`Error reading ${location.id} ${date}:`, error.message);
+        failed++;
+        continue;
+      }
+
+      db.transaction(() => {
+        for (const { time, sample } of samples) {
+          if (sqliteStorage.getSample(date, time)) {
+            skipped++;
+          } else {
+            sqliteStorage.saveSample(date, time, sample);
+            imported++;
+          }
+        }
+      })();
+    }
+
+    console.log(
+      `${location.id}: imported ${imported} samples, skipped ${skipped} already present, ${failed} dates failed`
+    );
+  }
+
+  console.log(
+    'Migration complete. Set "storage": { "type": "sqlite" } in config.json to use it.'
+  );
+  return 0;
+}
+
+// Match a saved frame against a location's reference frame and print the
+// proposed crop coordinates: node server.js calibrate --image frame.jpg
+async function runCalibrateCli(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    options[args[i].replace(/^--/, "")] = args[i + 1];
+  }
+
+  if (!options.image) {
+    console.error(
+      "Usage: node server.js calibrate --image path/to/frame.jpg [--location id]"
+    );
+    return 1;
+  }
+
+  const location = options.location
+    ? getLocation(options.location)
+    : getDefaultLocation();
+
+  if (!location) {
+    console.error(`Unknown location "${options.location}"`);
+    return 1;
+  }
+
+  try {
+    const frame = await decodeFrame(
+      await convertToPng(fs.readFileSync(options.image))
+    );
+    const match = await calibrateFrame(location, frame);
+
+    if (!match) {
+      console.error(
+        `No reference frame at ${getHealthConfig(location).referenceImage}`
+      );
+      return 1;
+    }
+
+    console.log(
+      JSON.stringify(
+        {
+          match,
+          proposedCoordinates: match.accepted
+            ? proposeCropCoordinates(location, match)
+            : null
+        },
+        null,
+        2
+      )
+    );
+
+    return match.accepted ? 0 : 2;
+  } catch (error) {
+    console.error("Calibration failed:", error.message);
+    return 1;
+  }
+}
+
+async function getCachedData(location = getDefaultLocation()) {
+  // Get the latest color data
+  const latestData = getLatestColorData(location);
+
+  if (!latestData) {
+    throw new Error(
+      "No color data available. Use /update-cache to generate initial data."
+    );
+  }
+
+  return {
+    colors: latestData.colors,
+    extraction: latestData.extraction,
+    condition: latestData.condition,
+    astronomy: latestData.astronomy,
+    health: latestData.health,
+    lastUpdated: latestData.timestamp
+  };
+}
+
+// Format a timestamp as local date and time, e.g. "October 19, 2026 at 4:15 PM"
+function formatLocalDateTime(timestamp, timeZone = "America/New_York") {
+  return (
+    new Date(timestamp).toLocaleDateString("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "long",
+      day: "numeric"
+    }) +
+    " at " +
+    new Date(timestamp).toLocaleTimeString("en-US", {
+      timeZone,
+      hour: "numeric",
+      minute: "2-digit",
+      hour12: true
+    })
+  );
+}
+
+// Scheduler settings for a location, with defaults for anything missing from config.json
+function getSchedulerConfig(location) {
+  const scheduler = location.cache.scheduler || {};
+  const retry = scheduler.retry || {};
+
+  return {
+    enabled: scheduler.enabled !== false,
+    intervalMinutes: location.cache.updateIntervalMinutes,
+    timezone: location.timezone,
+    retry: {
+      maxAttempts: retry.maxAttempts ?? 3,
+      initialDelaySeconds: retry.initialDelaySeconds ?? 30,
+      maxDelaySeconds: retry.maxDelaySeconds ?? 300
+    }
+  };
+}
+
+// State of the built-in capture scheduler for each location, exposed through /api/status
+const schedulerStates = new Map();
+
+function getSchedulerState(locationId) {
+  if (!schedulerStates.has(locationId)) {
+    schedulerStates.set(locationId, {
+      running: false,
+      timer: null,
+      nextRun: null,
+      nextRunReason: null,
+      nextRunSlot: null,
+      lastRun: null,
+      lastSuccess: null,
+      lastFailure: null,
+      lastError: null,
+      consecutiveFailures: 0,
+      retryAttempt: 0,
+      skippedTicks: 0
+    });
+  }
+
+  return schedulerStates.get(locationId);
+}
+
+// Next capture boundary for a location strictly after `now`
+function getNextScheduledRun(location, now = Date.now()) {
+  return getNextSlotTimestamp(
+    location.timezone,
+    location.cache.updateIntervalMinutes,
+    now
+  );
+}
+
+// `slot` is the boundary the capture is for, which retries keep so their
+// sample is still stored under it
+function scheduleCapture(location, runAt, reason, slot = runAt) {
+  const state = getSchedulerState(location.id);
+
+  if (state.timer) {
+    clearTimeout(state.timer);
+  }
+
+  state.nextRun = runAt;
+  state.nextRunReason = reason;
+  state.nextRunSlot = slot;
+  state.timer = setTimeout(
+    () => runScheduledCapture(location.id),
+    Math.max(0, runAt - Date.now())
+  );
+
+  console.log(
+    `Next capture for ${location.id} (${reason}) at ${formatLocalDateTime(
+      runAt,
+      location.timezone
+    )}`
+  );
+}
+
+async function runScheduledCapture(locationId) {
+  const state = getSchedulerState(locationId);
+  state.timer = null;
+
+  // Look the location up again so the capture uses its current settings
+  const location = getLocation(locationId);
+  if (!location) {
+    console.log(
+      `Location ${locationId} no longer configured, stopping scheduler`
+    );
+    state.running = false;
+    state.nextRun = null;
+    return;
+  }
+
+  // The scheduler may have been switched off by a config reload
+  if (!getSchedulerConfig(location).enabled) {
+    console.log(`Capture scheduler disabled for ${location.id}, stopping`);
+    state.running = false;
+    state.nextRun = null;
+    return;
+  }
+
+  // Skip this tick if a capture (scheduled or manual) is still running
+  if (updatesInProgress.has(location.id)) {
+    console.log(
+      `Capture still running for ${location.id}, skipping scheduled tick`
+    );
+    state.skippedTicks++;
+    scheduleCapture(location, getNextScheduledRun(location), "scheduled");
+    return;
+  }
+
+  const { retry } = getSchedulerConfig(location);
+  const slot = state.nextRunSlot;
+  state.lastRun = Date.now();
+
+  try {
+    await updateCacheFiles(
+      location,
+      createCaptureJob(location, state.nextRunReason || "scheduled"),
+      slot
+    );
+
+    state.lastSuccess = Date.now();
+    state.consecutiveFailures = 0;
+    state.retryAttempt = 0;
+    scheduleCapture(location, getNextScheduledRun(location), "scheduled");
+  } catch (error) {
+    state.lastFailure = Date.now();
+    state.lastError = error.message;
+    state.consecutiveFailures++;
+
+    const nextBoundary = getNextScheduledRun(location);
+
+    if (state.retryAttempt < retry.maxAttempts) {
+      // Back off exponentially, but never past the next regular boundary
+      const delaySeconds = Math.min(
+        retry.initialDelaySeconds * 2 ** state.retryAttempt,
+        retry.maxDelaySeconds
+      );
+      const retryAt = Date.now() + delaySeconds * 1000;
+      state.retryAttempt++;
+
+      if (retryAt < nextBoundary) {
+        console.error(
+          `Scheduled capture for ${location.id} failed (attempt ${state.retryAttempt}/${retry.maxAttempts}), retrying in ${delaySeconds}s`
+        );
+        scheduleCapture(location, retryAt, "retry", slot);
+        return;
+      }
+    }
+
+    state.retryAttempt = 0;
+    scheduleCapture(location, nextBoundary, "scheduled");
+  }
+}
+
+function startScheduler() {
+  for (const location of getLocations()) {
+    const { enabled, intervalMinutes } = getSchedulerConfig(location);
+
+    if (!enabled) {
+      console.log(`Capture scheduler disabled for ${location.id}`);
+      continue;
+    }
+
+    getSchedulerState(location.id).running = true;
+    console.log(
+      `Capture scheduler started for ${location.id} (every ${intervalMinutes} minutes)`
+    );
+    scheduleCapture(location, getNextScheduledRun(location), "scheduled");
+  }
+}
+
+// Configuration as shown by /api/config: secrets, credentials in URLs and
+// request headers are replaced with "[redacted]"
+const secretKeyPattern = /secret|token|password|authorization|^key$/i;
+
+function redactConfig(value, key = "") {
+  if (Array.isArray(value)) {
+    return value.map((item) => redactConfig(item));
+  }
+
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([childKey, child]) => [
+        childKey,
+        key === "headers" ? "[redacted]" : redactConfig(child, childKey)
+      ])
+    );
+  }
+
+  if (typeof value === "string" && value && secretKeyPattern.test(key)) {
+    return "[redacted]";
+  }
+
+  if (
+    typeof value === "string" &&
+    /^[a-z][a-z0-9+.-]*:\/\/[^/]*@/i.test(value)
+  ) {
+    return value.replace(/\/\/[^/]*@/, "//[redacted]@");
+  }
+
+  return value;
+}
+
+// Source details safe to show to anyone, for /api and /api/locations. URLs
+// lose their credentials and secret query parameters; headers and file paths
+// stay on the server.
+const secretParamPattern = /secret|token|password|auth|key|sig/i;
+
+function getPublicSource(source) {
+  const publicSource = { type: source.type };
+
+  if (source.url) {
+    try {
+      const url = new URL(source.url);
+      url.username = "";
+      url.password = "";
+      for (const name of [...url.searchParams.keys()]) {
+        if (secretParamPattern.test(name)) {
+          url.searchParams.delete(name);
+        }
+      }
+      publicSource.url = url.toString();
+    } catch (error) {
+      // Not a parseable URL, so leave it out rather than risk leaking it
+    }
+  }
+
+  for (const key of ["description", "publisher", "latitude", "longitude"]) {
+    if (source[key] !== undefined) {
+      publicSource[key] = source[key];
+    }
+  }
+
+  return publicSource;
+}
+
+const configState = {
+  loadedAt: Date.now(),
+  lastReload: null
+};
+
+// Settings only read once at startup
+const restartOnlySettings = ["id", "port", "dataDir"];
+
+// Re-read the config file and swap it in if it is valid. An invalid file is
+// logged and the running configuration is kept.
+function reloadConfig(reason) {
+  let next;
+
+  try {
+    next = readConfigFile(configPath);
+
+    const problems = validateConfig(next);
+    if (problems.length > 0) {
+      throw new Error(`Invalid configuration:\n  ${problems.join("\n  ")}`);
+    }
+  } catch (error) {
+    console.error(
+      `Config reload (${reason}) rejected, keeping the current configuration: ${error.message}`
+    );
+    configState.lastReload = {
+      at: Date.now(),
+      reason,
+      ok: false,
+      error: error.message
+    };
+    return false;
+  }
+
+  // Editors often write a file more than once; skip reloads that change nothing
+  if (JSON.stringify(next) === JSON.stringify(config)) {
+    return true;
+  }
+
+  const pending = restartOnlySettings.filter(
+    (key) => JSON.stringify(next[key]) !== JSON.stringify(config[key])
+  );
+  if (pending.length > 0) {
+    console.log(
+      `Config changes to ${pending.join(", ")} take effect after a restart`
+    );
+  }
+
+  config = next;
+  configState.loadedAt = Date.now();
+  configState.lastReload = { at: Date.now(), reason, ok: true, error: null };
+
+  createLocationDataDirs();
+
+  // Sun times depend on each location's coordinates and timezone
+  solarEventsCache.clear();
+  restartScheduler();
+
+  console.log(`Configuration reloaded (${reason})`);
+  return true;
+}
+
+// Reschedule every location's captures with the current settings
+function restartScheduler() {
+  for (const state of schedulerStates.values()) {
+    if (state.timer) {
+      clearTimeout(state.timer);
+    }
+    state.running = false;
+    state.timer = null;
+    state.nextRun = null;
+    state.nextRunReason = null;
+    state.nextRunSlot = null;
+  }
+
+  startScheduler();
+}
+
+// Reload on SIGHUP and whenever the config file changes. The directory is
+// watched rather than the file, since many editors replace the file on save.
+function watchConfig() {
+  process.on("SIGHUP", () => reloadConfig("SIGHUP"));
+
+  let reloadTimer = null;
+  fs.watch(path.dirname(configPath), (eventType, filename) => {
+    if (filename !== path.basename(configPath)) return;
+
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => reloadConfig("file change"), 500);
+  });
+}
+
+const responseFormats = ["v1", "v2"];
+
+// v2 response format: each direction's hex expanded into RGB/HSL/OKLCH plus
+// the extraction mode, dominant color, palette and gradient stored with the
+// sample. Samples captured before these were stored only get the color values.
+function formatColorsV2(colors, extraction = {}) {
+  return Object.fromEntries(
+    Object.entries(colors).map(([direction, hex]) => {
+      const details = extraction[direction];
+
+      return [
+        direction,
+        {
+          ...describeColor(hex),
+          mode: details ? details.mode : null,
+          dominant: details ? describeColor(details.dominant) : null,
+          palette: details
+            ? details.palette.map((entry) => ({
+                ...describeColor(entry.hex),
+                weight: entry.weight
+              }))
+            : null,
+          gradient:
+            details && details.gradient
+              ? details.gradient.map((stop) => ({
+                  stop: stop.stop,
+                  position: stop.position,
+                  ...describeColor(stop.hex)
+                }))
+              : null
+        }
+      ];
+    })
+  );
+}
+
+// Validate the ?format= query parameter, sending a 400 if it is unknown
+function getRequestedFormat(req, res) {
+  const format = req.query.format || "v1";
+
+  if (!responseFormats.includes(format)) {
+    res.status(400).json({
+      error: "Invalid format parameter",
+      message: `Format must be one of: ${responseFormats.join(", ")}`,
+      example: "Use format: ?format=v2"
+    });
+    return null;
+  }
+
+  return format;
+}
+
+// Shared handler for /api and /api/locations/:id
+async function handleColorsRequest(location, req, res) {
+  try {
+    // Check for date/time parameters
+    const { date, time } = req.query;
+
+    const format = getRequestedFormat(req, res);
+    if (!format) return;
+
+    let colorData;
+    let isHistoricalData = false;
+    let isDateOnlyRequest = false;
+
+    if (date && time) {
+      // Request for specific date/time
+      try {
+        colorData = getColorDataForDateTime(date, time, location, {
+          mode: req.query.lookup,
+          toleranceMinutes:
+            req.query.tolerance !== undefined
+              ? Number(req.query.tolerance)
+              : undefined,
+          interpolate: req.query.interpolate === "true"
+        });
+        isHistoricalData = true;
+      } catch (error) {
+        return res.status(400).json({
+          error: "Invalid date/time parameters",
+          message: error.message,
+          example:
+            "Use format: ?date=2025-09-28&time=22:45 (optionally &lookup=nearest&tolerance=10&interpolate=true)"
+        });
+      }
+    } else if (date && !time) {
+      // Request for all data on a specific date
+      try {
+        const allDateData = getAllColorDataForDate(date, location);
+        isHistoricalData = true;
+        isDateOnlyRequest = true;
+
+        // Format the response for date-only requests
+        colorData = {
+          date: date,
+          intervals: allDateData,
+          totalIntervals: allDateData.length
+        };
+      } catch (error) {
+        return res.status(400).json({
+          error: "Invalid date parameter",
+          message: error.message,
+          example:
+            "Use format: ?date=2025-09-28 (for all intervals) or ?date=2025-09-28&time=22:45 (for specific time)"
+        });
+      }
+    } else if (!date && time) {
+      // Only time parameter provided (invalid)
+      return res.status(400).json({
+        error: "Date parameter required when specifying time",
+        message:
+          "When requesting historical data, the 'date' parameter is required. You can specify just date for all intervals, or both date and time for a specific interval.",
+        example:
+          "Use format: ?date=2025-09-28 (for all intervals) or ?date=2025-09-28&time=22:45 (for specific time)"
+      });
+    } else {
+      // No parameters, get latest data
+      const cachedData = await getCachedData(location);
+      colorData = {
+        colors: cachedData.colors,
+        extraction: cachedData.extraction,
+        condition: cachedData.condition,
+        astronomy: cachedData.astronomy,
+        health: cachedData.health,
+        timestamp: cachedData.lastUpdated
+      };
+    }
+
+    // Build response object
+    let response;
+
+    if (isDateOnlyRequest) {
+      // Special response format for date-only requests
+      response = {
+        date: colorData.date,
+        totalIntervals: colorData.totalIntervals,
+        intervals: colorData.intervals.map((interval) => ({
+          time: interval.time,
+          colors:
+            format === "v2"
+              ? formatColorsV2(interval.colors, interval.extraction)
+              : interval.colors,
+          condition: interval.condition,
+          astronomy: interval.astronomy,
+          timestamp: interval.timestamp,
+          formatted:
+            new Date(interval.timestamp).toLocaleDateString("en-US", {
+              timeZone: location.timezone,
+              year: "numeric",
+              month: "long",
+              day: "numeric"
+            }) +
+            " at " +
+            new Date(interval.timestamp).toLocaleTimeString("en-US", {
+              timeZone: location.timezone,
+              hour: "numeric",
+              minute: "2-digit",
               hour12: true
             })
-        })),
-        metadata: {
-          isHistoricalData,
-          isDateOnlyRequest: true,
-          source: config.source,
-          updateInterval: {
-            minutes: config.cache.updateIntervalMinutes,
-            milliseconds: config.cache.updateIntervalMinutes * 60 * 1000
+        })),
+        metadata: {
+          format,
+          isHistoricalData,
+          isDateOnlyRequest: true,
+          location: {
+            id: location.id,
+            name: location.name,
+            timezone: location.timezone
+          },
+          source: getPublicSource(location.source),
+          updateInterval: {
+            minutes: location.cache.updateIntervalMinutes,
+            milliseconds: location.cache.updateIntervalMinutes * 60 * 1000
+          }
+        }
+      };
+    } else {
+      // Standard response format for single time point requests
+      const lastUpdatedFormatted =
+        new Date(colorData.timestamp).toLocaleDateString("en-US", {
+          timeZone: location.timezone,
+          year: "numeric",
+          month: "long",
+          day: "numeric"
+        }) +
+        " at " +
+        new Date(colorData.timestamp).toLocaleTimeString("en-US", {
+          timeZone: location.timezone,
+          hour: "numeric",
+          minute: "2-digit",
+          hour12: true
+        });
+
+      response = {
+        colors:
+          format === "v2"
+            ? formatColorsV2(colorData.colors, colorData.extraction)
+            : colorData.colors,
+        metadata: {
+          format,
+          isHistoricalData,
+          lastUpdated: {
+            timestamp: colorData.timestamp,
+            formatted: lastUpdatedFormatted
+          },
+          condition: colorData.condition,
+          astronomy: colorData.astronomy,
+          health: colorData.health || null,
+          location: {
+            id: location.id,
+            name: location.name,
+            timezone: location.timezone
+          },
+          source: getPublicSource(location.source),
+          updateInterval: {
+            minutes: location.cache.updateIntervalMinutes,
+            milliseconds: location.cache.updateIntervalMinutes * 60 * 1000
+          }
+        }
+      };
+
+      // Which sample answered a ?date=&time= request
+      if (colorData.lookup) {
+        response.metadata.lookup = colorData.lookup;
+      }
+    }
+
+    // Only add cache age for current data (not historical)
+    if (!isHistoricalData) {
+      const cacheAge = Date.now() - colorData.timestamp;
+
+      // Format cache age for display
+      function formatCacheAge(ageMs) {
+        const seconds = Math.floor(ageMs / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+
+        if (hours > 0) return hours + "h " + (minutes % 60) + "m";
+        if (minutes > 0) return minutes + "m " + (seconds % 60) + "s";
+        return seconds + "s";
+      }
+
+      response.metadata.cacheAge = {
+        milliseconds: cacheAge,
+        formatted: formatCacheAge(cacheAge)
+      };
+    }
+
+    // Only add next update info for current data (not historical)
+    if (!isHistoricalData) {
+      // Next update on the same wall-clock boundaries the scheduler uses
+      // (e.g. :00, :15, :30, :45)
+      const now = Date.now();
+      const nextUpdateTime = getNextScheduledRun(location, now);
+      const timeToNextUpdate = nextUpdateTime - now;
+
+      // Format next update time
+      const nextUpdateFormatted = new Date(nextUpdateTime).toLocaleTimeString(
+        "en-US",
+        {
+          timeZone: location.timezone,
+          hour: "numeric",
+          minute: "2-digit",
+          hour12: true
+        }
+      );
+
+      // Add next update info to metadata
+      response.metadata.nextUpdate = {
+        timestamp: nextUpdateTime,
+        formatted: nextUpdateFormatted,
+        timeRemaining: Math.max(0, timeToNextUpdate),
+        timeRemainingFormatted: formatTimeRemaining(
+          Math.max(0, timeToNextUpdate)
+        )
+      };
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error("API endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get API data",
+      message: error.message
+    });
+  }
+}
+
+app.get("/api", async (req, res) => {
+  await handleColorsRequest(getDefaultLocation(), req, res);
+});
+
+// Scheduler and capture state for one location
+function getLocationStatus(location) {
+  const { enabled, intervalMinutes, timezone, retry } =
+    getSchedulerConfig(location);
+  const state = getSchedulerState(location.id);
+  const healthSettings = getHealthConfig(location);
+  const healthState = getHealthState(location.id);
+
+  // Format an optional timestamp for the status response
+  const formatEvent = (timestamp) =>
+    timestamp
+      ? { timestamp, formatted: formatLocalDateTime(timestamp, timezone) }
+      : null;
+
+  const formatHealthCheck = (check) =>
+    check
+      ? {
+          ...formatEvent(check.checkedAt),
+          ok: check.ok,
+          reasons: check.reasons,
+          checks: check.checks
+        }
+      : null;
+
+  return {
+    scheduler: {
+      enabled,
+      running: state.running,
+      intervalMinutes,
+      timezone,
+      retry,
+      nextRun: state.nextRun
+        ? {
+            ...formatEvent(state.nextRun),
+            reason: state.nextRunReason,
+            timeRemaining: Math.max(0, state.nextRun - Date.now())
+          }
+        : null,
+      lastRun: formatEvent(state.lastRun),
+      lastSuccess: formatEvent(state.lastSuccess),
+      lastFailure: state.lastFailure
+        ? {
+            ...formatEvent(state.lastFailure),
+            error: state.lastError
+          }
+        : null,
+      consecutiveFailures: state.consecutiveFailures,
+      retryAttempt: state.retryAttempt,
+      skippedTicks: state.skippedTicks
+    },
+    health: {
+      enabled: healthSettings.enabled,
+      hasReferenceImage: fs.existsSync(healthSettings.referenceImage),
+      lastCheck: formatHealthCheck(healthState.lastCheck),
+      lastRejection: formatHealthCheck(healthState.lastRejection),
+      consecutiveRejections: healthState.consecutiveRejections,
+      totalRejections: healthState.totalRejections
+    },
+    updateInProgress: updatesInProgress.has(location.id)
+  };
+}
+
+app.get("/api/status", async (req, res) => {
+  try {
+    const locations = getLocations();
+
+    // Top-level fields describe the default location, like /api
+    res.json({
+      ...getLocationStatus(locations[0]),
+      locations: locations.map((location) => ({
+        id: location.id,
+        name: location.name,
+        ...getLocationStatus(location)
+      }))
+    });
+  } catch (error) {
+    console.error("Status endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get status",
+      message: error.message
+    });
+  }
+});
+
+// Read-only view of the running configuration, with secrets redacted
+app.get("/api/config", async (req, res) => {
+  try {
+    res.json({
+      file: configPath,
+      loadedAt: configState.loadedAt,
+      lastReload: configState.lastReload,
+      port,
+      dataDir,
+      config: redactConfig(config)
+    });
+  } catch (error) {
+    console.error("Config endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get configuration",
+      message: error.message
+    });
+  }
+});
+
+app.get("/api/sun", async (req, res) => {
+  try {
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
+
+    if (!getLocationCoordinates(location)) {
+      return res.status(400).json({
+        error: "Location has no coordinates",
+        message: `Set source.latitude and source.longitude for ${location.id} in config.json`
+      });
+    }
+
+    const date =
+      req.query.date || getLocalDateString(Date.now(), location.timezone);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+      return res.status(400).json({
+        error: "Invalid date parameter",
+        message: "Invalid date format. Expected YYYY-MM-DD",
+        example: "Use format: ?date=2025-09-28"
+      });
+    }
+
+    const events = getSolarEvents(location, date);
+    const describeEvent = (timestamp) =>
+      timestamp === null
+        ? null
+        : {
+            timestamp,
+            formatted: formatLocalDateTime(timestamp, location.timezone)
+          };
+
+    res.json({
+      location: location.id,
+      date,
+      timezone: location.timezone,
+      coordinates: getLocationCoordinates(location),
+      events: Object.fromEntries(
+        Object.entries(events).map(([name, timestamp]) => [
+          name,
+          describeEvent(timestamp)
+        ])
+      ),
+      dayLengthMinutes:
+        events.sunrise !== null && events.sunset !== null
+          ? round((events.sunset - events.sunrise) / 60000, 1)
+          : null,
+      moon: getMoonPhase(events.solarNoon)
+    });
+  } catch (error) {
+    console.error("Sun endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get solar events",
+      message: error.message
+    });
+  }
+});
+
+adminRoute("/update-cache", async (req, res) => {
+  try {
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
+
+    if (updatesInProgress.has(location.id)) {
+      const running = jobs.findLast(
+        (job) => job.location === location.id && job.state === "running"
+      );
+
+      return res.status(429).json({
+        error: "Update already in progress",
+        message: "Please wait for the current update to complete",
+        jobId: running ? running.id : null
+      });
+    }
+
+    // Start the update process in the background; its outcome is recorded
+    // on the job and logged by updateCacheFiles
+    const job = createCaptureJob(location, "manual");
+    updateCacheFiles(location, job).catch(() => {});
+
+    res.json({
+      message: "Update started",
+      status: "processing",
+      location: location.id,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    console.error("Update endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to start update",
+      message: error.message
+    });
+  }
+});
+
+// Capture jobs, newest first
+app.get("/api/jobs", async (req, res) => {
+  try {
+    const { state } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+
+    // Without ?location= jobs for every location are listed
+    const location = req.query.location ? getRequestedLocation(req, res) : null;
+    if (req.query.location && !location) return;
+
+    if (state && !jobStates.includes(state)) {
+      return res.status(400).json({
+        error: "Invalid state parameter",
+        message: `State must be one of: ${jobStates.join(", ")}`,
+        example: "Use: ?state=failed"
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({
+        error: "Invalid limit parameter",
+        message: "Limit must be a positive integer",
+        example: "Use: ?limit=20"
+      });
+    }
+
+    const matching = jobs
+      .filter(
+        (job) =>
+          (!location || job.location === location.id) &&
+          (!state || job.state === state)
+      )
+      .reverse();
+
+    res.json({
+      jobs: matching.slice(0, limit),
+      total: matching.length
+    });
+  } catch (error) {
+    console.error("Jobs endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get jobs",
+      message: error.message
+    });
+  }
+});
+
+app.get("/api/jobs/:id", async (req, res) => {
+  try {
+    const job = getJob(Number(req.params.id));
+
+    if (!job) {
+      return res.status(404).json({
+        error: "Job not found",
+        message: `No job with id "${req.params.id}"`
+      });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error("Job endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get job",
+      message: error.message
+    });
+  }
+});
+
+app.get("/api/stream", (req, res) => {
+  const format = getRequestedFormat(req, res);
+  if (!format) return;
+
+  // Without ?location= the stream carries events for every location
+  const location = req.query.location ? getRequestedLocation(req, res) : null;
+  if (req.query.location && !location) return;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.write("retry: 5000\n\n");
+
+  const subscriber = {
+    locationId: location ? location.id : null,
+    format,
+    send: (event) => {
+      res.write(
+        `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(
+          formatLiveEvent(event, format)
+        )}\n\n`
+      );
+    }
+  };
+  eventSubscribers.add(subscriber);
+
+  // Comment lines keep proxies from closing an idle connection
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 30000);
+
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    eventSubscribers.delete(subscriber);
+  });
+});
+
+app.get("/api/available-dates", async (req, res) => {
+  try {
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
+
+    // For each date, get the count of time intervals (newest first)
+    const availableDates = getStorage(location)
+      .listDates()
+      .map(({ date, times }) => ({
+        date,
+        intervalCount: times.length,
+        firstTime: times[0],
+        lastTime: times[times.length - 1],
+        formatted: new Date(date + "T00:00:00").toLocaleDateString("en-US", {
+          year: "numeric",
+          month: "long",
+          day: "numeric"
+        })
+      }));
+
+    res.json({
+      availableDates,
+      totalDates: availableDates.length,
+      latestDate: availableDates.length > 0 ? availableDates[0].date : null,
+      oldestDate:
+        availableDates.length > 0
+          ? availableDates[availableDates.length - 1].date
+          : null
+    });
+  } catch (error) {
+    console.error("Available dates endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get available dates",
+      message: error.message
+    });
+  }
+});
+
+// Helper function to generate recent data (used by both live and cached endpoints)
+function generateRecentData(location = getDefaultLocation(), format = "v1") {
+  // Load samples for the most recent 30 days
+  const allIntervals = getStorage(location)
+    .getRecentSamples(30)
+    .map(({ date, time, sample }) => ({
+      date,
+      time,
+      colors:
+        format === "v2"
+          ? formatColorsV2(sample.colors, sample.extraction)
+          : sample.colors,
+      timestamp: getSampleTimestamp(location, date, time)
+    }));
+
+  // Sort all intervals by timestamp (newest first)
+  allIntervals.sort((a, b) => b.timestamp - a.timestamp);
+
+  const dates = [
+    ...new Set(allIntervals.map((interval) => interval.date))
+  ].sort((a, b) => b.localeCompare(a));
+
+  return {
+    intervals: allIntervals,
+    totalIntervals: allIntervals.length,
+    dateRange: {
+      from: dates.length > 0 ? dates[dates.length - 1] : null,
+      to: dates.length > 0 ? dates[0] : null
+    },
+    daysIncluded: dates.length
+  };
+}
+
+app.get("/api/recent", async (req, res) => {
+  try {
+    const format = getRequestedFormat(req, res);
+    if (!format) return;
+
+    const recentData = generateRecentData(getDefaultLocation(), format);
+    res.json(recentData);
+  } catch (error) {
+    console.error("Recent data endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get recent data",
+      message: error.message
+    });
+  }
+});
+
+// Parse a range step like 15m, 1h or 1d into minutes. Minute and hour steps
+// must divide a day evenly so buckets line up with local midnight.
+function parseRangeStep(step) {
+  const match = /^(\d+)(m|h|d)$/.exec(step);
+
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(
+      "Invalid step. Use a number followed by m, h or d, e.g. 15m, 1h or 1d"
+    );
+  }
+
+  const minutes = Number(match[1]) * { m: 1, h: 60, d: 1440 }[match[2]];
+
+  if (match[2] !== "d" && 1440 % minutes !== 0) {
+    throw new Error("Minute and hour steps must divide 24 hours evenly");
+  }
+
+  return minutes;
+}
+
+// Average each direction's color across samples in OKLab
+function averageColors(samples) {
+  const sums = {};
+
+  for (const sample of samples) {
+    for (const [direction, hex] of Object.entries(sample.colors)) {
+      if (!sums[direction]) sums[direction] = { lab: [0, 0, 0], count: 0 };
+
+      const lab = rgbToOklab(hexToRgb(hex));
+      sums[direction].lab = sums[direction].lab.map((sum, i) => sum + lab[i]);
+      sums[direction].count++;
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(sums).map(([direction, { lab, count }]) => [
+      direction,
+      rgbToHex(...oklabToRgb(lab.map((sum) => sum / count)))
+    ])
+  );
+}
+
+// Group samples into buckets of `stepMinutes`, aligned to local midnight
+// (or to whole local days for day steps), and average each bucket
+function aggregateSamples(location, samples, stepMinutes) {
+  const buckets = new Map();
+
+  for (const entry of samples) {
+    let bucketDate = entry.date;
+    let bucketMinutes = 0;
+    let repeated = false;
+
+    if (stepMinutes < 1440) {
+      const time = parseTimeKey(entry.time);
+      bucketMinutes =
+        Math.floor((time.hour * 60 + time.minute) / stepMinutes) * stepMinutes;
+
+      // Keep the second pass through a repeated hour in its own buckets, as
+      // long as the bucket starts inside that hour
+      repeated = time.repeated && Math.floor(bucketMinutes / 60) === time.hour;
+    } else {
+      // Count whole days since the epoch so multi-day buckets stay stable
+      const stepDays = stepMinutes / 1440;
+      const days = Math.floor(Date.parse(entry.date + "T00:00:00Z") / 86400000);
+      bucketDate = new Date(Math.floor(days / stepDays) * stepDays * 86400000)
+        .toISOString()
+        .slice(0, 10);
+    }
+
+    const bucketTime = formatTimeKey(
+      Math.floor(bucketMinutes / 60),
+      bucketMinutes % 60,
+      repeated
+    );
+    const key = `${bucketDate} ${bucketTime}`;
+
+    if (!buckets.has(key)) {
+      buckets.set(key, { date: bucketDate, time: bucketTime, samples: [] });
+    }
+    buckets.get(key).samples.push(entry.sample);
+  }
+
+  return [...buckets.values()].map((bucket) => ({
+    date: bucket.date,
+    time: bucket.time,
+    timestamp: getSampleTimestamp(location, bucket.date, bucket.time),
+    sampleCount: bucket.samples.length,
+    colors: averageColors(bucket.samples),
+    // How many samples in the bucket had each condition
+    conditions: bucket.samples.reduce((counts, sample) => {
+      if (sample.condition) {
+        counts[sample.condition.label] =
+          (counts[sample.condition.label] || 0) + 1;
+      }
+      return counts;
+    }, {})
+  }));
+}
+
+// Number of local days /api/range reads at a time: about what a full page of
+// `limit` points needs without gaps, in whole buckets for day steps
+function getRangeWindowDays(location, stepMinutes, limit) {
+  const minutesPerPoint = Math.max(
+    stepMinutes ?? 0,
+    location.cache.updateIntervalMinutes
+  );
+  const stepDays = stepMinutes >= 1440 ? stepMinutes / 1440 : 1;
+  const days = Math.ceil(((limit + 1) * minutesPerPoint) / 1440);
+
+  return Math.ceil(days / stepDays) * stepDays;
+}
+
+function addDays(dateStr, days) {
+  return new Date(Date.parse(dateStr + "T00:00:00Z") + days * 86400000)
+    .toISOString()
+    .slice(0, 10);
+}
+
+function encodeRangeCursor(timestamp) {
+  return Buffer.from(JSON.stringify({ t: timestamp })).toString("base64url");
+}
+
+function decodeRangeCursor(cursor) {
+  try {
+    const { t } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!Number.isFinite(t)) throw new Error();
+    return t;
+  } catch (error) {
+    throw new Error("Invalid cursor");
+  }
+}
+
+// Samples between any two instants, optionally averaged into coarser steps.
+// Pages through long ranges with an opaque cursor.
+app.get("/api/range", async (req, res) => {
+  try {
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
+
+    const format = getRequestedFormat(req, res);
+    if (!format) return;
+
+    const rangeConfig = config.range || {};
+    const maxPointsCap = rangeConfig.maxPoints ?? 2000;
+
+    let from;
+    let to;
+    let stepMinutes = null;
+    let limit;
+    let conditions = null;
+
+    try {
+      from = Date.parse(req.query.from);
+      to = Date.parse(req.query.to);
+
+      if (!req.query.from || !req.query.to || isNaN(from) || isNaN(to)) {
+        throw new Error("Both from and to are required as ISO 8601 instants");
+      }
+      if (from > to) {
+        throw new Error("The from instant must not be after the to instant");
+      }
+
+      if (req.query.step) {
+        stepMinutes = parseRangeStep(req.query.step);
+      }
+
+      limit = req.query.maxPoints ? Number(req.query.maxPoints) : maxPointsCap;
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error("maxPoints must be a positive integer");
+      }
+      limit = Math.min(limit, maxPointsCap);
+
+      if (req.query.cursor) {
+        from = Math.max(from, decodeRangeCursor(req.query.cursor));
+      }
+
+      if (req.query.condition) {
+        conditions = req.query.condition.split(",");
+        const unknown = conditions.filter(
+          (label) => !skyConditions.includes(label)
+        );
+        if (unknown.length > 0) {
+          throw new Error(
+            `Unknown condition ${unknown.join(", ")}. Use one or more of: ${skyConditions.join(", ")}`
+          );
+        }
+      }
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid range parameters",
+        message: error.message,
+        example:
+          "Use format: ?from=2025-09-28T00:00:00-04:00&to=2025-10-05T00:00:00-04:00&step=1h"
+      });
+    }
+
+    // Raw samples unless the step is coarser than the capture interval
+    const aggregate =
+      stepMinutes !== null &&
+      stepMinutes > location.cache.updateIntervalMinutes;
+
+    // Read the range a window at a time, stopping once the page is full. Windows
+    // start at local midnight (and on the bucket grid for day steps), so no
+    // bucket is split between two reads.
+    const storage = getStorage(location);
+    const windowDays = getRangeWindowDays(
+      location,
+      aggregate ? stepMinutes : null,
+      limit
+    );
+    let windowStart = getLocalDateString(from, location.timezone);
+    if (aggregate && stepMinutes >= 1440) {
+      const stepDays = stepMinutes / 1440;
+      const days = Math.floor(
+        Date.parse(windowStart + "T00:00:00Z") / 86400000
+      );
+      windowStart = addDays(
+        "1970-01-01",
+        Math.floor(days / stepDays) * stepDays
+      );
+    }
+
+    const points = [];
+
+    while (points.length <= limit) {
+      const windowFrom = getSampleTimestamp(location, windowStart, "00:00");
+      if (windowFrom > to) break;
+
+      const windowEnd = addDays(windowStart, windowDays);
+      const windowTo = getSampleTimestamp(location, windowEnd, "00:00") - 1;
+
+      // Keep only samples with one of the requested conditions, if any
+      const samples = storage
+        .getSamplesInRange(Math.max(from, windowFrom), Math.min(to, windowTo))
+        .map((entry) => ({
+          ...entry,
+          sample: {
+            ...entry.sample,
+            condition: getSampleCondition(
+              location,
+              entry.sample,
+              entry.timestamp
+            )
+          }
+        }))
+        .filter(
+          (entry) =>
+            !conditions ||
+            (entry.sample.condition &&
+              conditions.includes(entry.sample.condition.label))
+        );
+
+      points.push(
+        ...(aggregate
+          ? aggregateSamples(location, samples, stepMinutes)
+          : samples.map(({ date, time, timestamp, sample }) => ({
+              date,
+              time,
+              timestamp,
+              sampleCount: 1,
+              colors: sample.colors,
+              extraction: sample.extraction,
+              condition: sample.condition
+            })))
+      );
+
+      windowStart = windowEnd;
+    }
+
+    const page = points.slice(0, limit);
+    const nextCursor =
+      points.length > limit ? encodeRangeCursor(points[limit].timestamp) : null;
+
+    res.json({
+      location: location.id,
+      from: { timestamp: from, iso: new Date(from).toISOString() },
+      to: { timestamp: to, iso: new Date(to).toISOString() },
+      step: aggregate ? req.query.step : null,
+      aggregated: aggregate,
+      conditions,
+      totalPoints: page.length,
+      maxPoints: limit,
+      points: page.map(({ extraction, ...point }) => ({
+        ...point,
+        colors:
+          format === "v2"
+            ? formatColorsV2(point.colors, extraction)
+            : point.colors,
+        formatted: formatLocalDateTime(point.timestamp, location.timezone)
+      })),
+      nextCursor
+    });
+  } catch (error) {
+    console.error("Range endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get range data",
+      message: error.message
+    });
+  }
+});
+
+// Coverage: which capture slots a date range should have, based on the
+// location's updateIntervalMinutes and the scheduler's wall-clock boundaries,
+// and which of them have a sample. Days are walked slot by slot in real time,
+// so DST days get 23 or 25 hours of slots, and a repeated hour its slots twice.
+function getDaySlots(location, dateStr) {
+  const nextDate = getNextDateString(dateStr);
+  const start = getSampleTimestamp(location, dateStr, "00:00");
+  const end = getSampleTimestamp(location, nextDate, "00:00");
+
+  const slots = [];
+  for (let t = start; t < end; t = getNextScheduledRun(location, t)) {
+    slots.push({
+      date: dateStr,
+      time: getSlotKey(t, location.timezone).time,
+      timestamp: t
+    });
+  }
+
+  // Each slot lasts until the next one
+  slots.forEach((slot, index) => {
+    slot.end = index + 1 < slots.length ? slots[index + 1].timestamp : end;
+  });
+
+  return { slots, hours: (end - start) / 3600000 };
+}
+
+// Match a day's sample times to its slots. A sample fills the first open
+// slot whose interval contains its wall-clock time (in the same pass through
+// a repeated hour); samples that aren't
+// exactly on a slot, or land in an already filled one, are off-grid.
+function matchSamplesToSlots(location, slots, times) {
+  const intervalMinutes = location.cache.updateIntervalMinutes;
+  const offGrid = [];
+
+  for (const time of times) {
+    const minutes = getMinutesOfDay(time);
+    const { repeated } = parseTimeKey(time);
+    const slot = slots.find(
+      (candidate) =>
+        !candidate.sample &&
+        parseTimeKey(candidate.time).repeated === repeated &&
+        minutes >= getMinutesOfDay(candidate.time) &&
+        minutes < getMinutesOfDay(candidate.time) + intervalMinutes
+    );
+
+    if (slot) {
+      slot.sample = time;
+    }
+    if (!slot || slot.time !== time) {
+      offGrid.push({ time, slot: slot ? slot.time : null });
+    }
+  }
+
+  return offGrid;
+}
+
+function formatCoverageSlot(location, timestamp) {
+  return {
+    ...getSlotKey(timestamp, location.timezone),
+    timestamp,
+    formatted: formatLocalDateTime(timestamp, location.timezone)
+  };
+}
+
+// Completeness report for the local dates from..to (inclusive)
+function getCoverage(location, from, to, now = Date.now()) {
+  const timesByDate = new Map(
+    getStorage(location)
+      .listDates()
+      .map(({ date, times }) => [date, times])
+  );
+
+  const days = [];
+  const allSlots = [];
+
+  for (let date = from; date <= to; date = getNextDateString(date)) {
+    const { slots: daySlots, hours } = getDaySlots(location, date);
+    const offGrid = matchSamplesToSlots(
+      location,
+      daySlots,
+      timesByDate.get(date) || []
+    );
+
+    // Slots still open (or in the future) only count once they have a sample
+    const slots = daySlots.filter((slot) => slot.end <= now || slot.sample);
+    const presentSlots = slots.filter((slot) => slot.sample).length;
+
+    days.push({
+      date,
+      hours,
+      expectedSlots: slots.length,
+      presentSlots,
+      missingSlots: slots.length - presentSlots,
+      completeness:
+        slots.length > 0 ? round((presentSlots / slots.length) * 100, 1) : null,
+      offGrid
+    });
+    allSlots.push(...slots);
+  }
+
+  // Runs of consecutive missing slots, which may span midnight
+  const gaps = [];
+  for (const slot of allSlots) {
+    const last = gaps[gaps.length - 1];
+
+    if (slot.sample) continue;
+
+    if (last && last.end === slot.timestamp) {
+      last.end = slot.end;
+      last.slots++;
+    } else {
+      gaps.push({ start: slot.timestamp, end: slot.end, slots: 1 });
+    }
+  }
+
+  const expectedSlots = allSlots.length;
+  const presentSlots = allSlots.filter((slot) => slot.sample).length;
+
+  return {
+    summary: {
+      expectedSlots,
+      presentSlots,
+      missingSlots: expectedSlots - presentSlots,
+      offGridSamples: days.reduce((sum, day) => sum + day.offGrid.length, 0),
+      gaps: gaps.length,
+      completeness:
+        expectedSlots > 0
+          ? round((presentSlots / expectedSlots) * 100, 1)
+          : null
+    },
+    days,
+    gaps: gaps.map((gap) => ({
+      from: formatCoverageSlot(location, gap.start),
+      to: formatCoverageSlot(location, gap.end),
+      slots: gap.slots,
+      minutes: Math.round((gap.end - gap.start) / 60000)
+    })),
+    slots: allSlots
+  };
+}
+
+app.get("/api/coverage", async (req, res) => {
+  try {
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
+
+    const today = getLocalDateString(Date.now(), location.timezone);
+    const to = req.query.to || today;
+    const from =
+      req.query.from ||
+      new Date(Date.parse(to + "T00:00:00Z") - 6 * 86400000)
+        .toISOString()
+        .slice(0, 10);
+
+    const isDate = (value) =>
+      /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+    const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+
+    if (!isDate(from) || !isDate(to) || days < 1 || days > 366) {
+      return res.status(400).json({
+        error: "Invalid coverage range",
+        message:
+          "from and to must be dates (YYYY-MM-DD) with from on or before to, at most 366 days apart",
+        example: "Use format: ?from=2025-11-01&to=2025-11-07"
+      });
+    }
+
+    const { slots, ...coverage } = getCoverage(location, from, to);
+
+    res.json({
+      location: location.id,
+      timezone: location.timezone,
+      intervalMinutes: location.cache.updateIntervalMinutes,
+      from,
+      to,
+      ...coverage,
+      // Every expected slot, with the sample time that filled it
+      ...(req.query.slots === "true"
+        ? {
+            slots: slots.map(({ date, time, timestamp, sample }) => ({
+              date,
+              time,
+              timestamp,
+              sample: sample || null
+            }))
+          }
+        : {})
+    });
+  } catch (error) {
+    console.error("Coverage endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get coverage",
+      message: error.message
+    });
+  }
+});
+
+// Statistics: running totals per daily, weekly (ISO), monthly and seasonal
+// period, kept in stats.json in each location's data folder. Each new sample
+// is added as it is saved, so /api/stats never rereads the sample history;
+// only samples newer than the totals (e.g. on first use) are read back.
+const statsPeriods = {
+  daily: (date) => ({ key: date, from: date, to: date }),
+
+  weekly: (date) => {
+    // ISO weeks start on Monday and belong to the year of their Thursday
+    const day = Date.parse(date + "T00:00:00Z");
+    const monday = day - ((new Date(day).getUTCDay() + 6) % 7) * 86400000;
+    const thursday = new Date(monday + 3 * 86400000);
+    const year = thursday.getUTCFullYear();
+    const week =
+      Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * 86400000)) + 1;
+
+    return {
+      key: `${year}-W${String(week).padStart(2, "0")}`,
+      from: new Date(monday).toISOString().slice(0, 10),
+      to: new Date(monday + 6 * 86400000).toISOString().slice(0, 10)
+    };
+  },
+
+  monthly: (date) => {
+    const [year, month] = date.split("-").map(Number);
+
+    return {
+      key: date.slice(0, 7),
+      from: `${date.slice(0, 7)}-01`,
+      to: new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10)
+    };
+  },
+
+  // Meteorological seasons; December counts towards the next year's winter
+  seasonal: (date) => {
+    const [year, month] = date.split("-").map(Number);
+    const seasons = ["winter", "spring", "summer", "autumn"];
+    const index = Math.floor((month % 12) / 3);
+    const startYear = month === 12 ? year : year - (index === 0 ? 1 : 0);
+    const startMonth = index === 0 ? 12 : index * 3;
+
+    return {
+      key: `${month === 12 ? year + 1 : year}-${seasons[index]}`,
+      from: `${startYear}-${String(startMonth).padStart(2, "0")}-01`,
+      to: new Date(Date.UTC(startYear, startMonth + 2, 0))
+        .toISOString()
+        .slice(0, 10)
+    };
+  }
+};
+
+const statsStates = new Map();
+
+function getStatsFile(location) {
+  return path.join(location.dataDir, "stats.json");
+}
+
+// Stats settings, with defaults for anything missing from config.json
+function getStatsConfig() {
+  const stats = config.stats || {};
+
+  return {
+    keepDaily: stats.keepDaily ?? 366,
+    keepWeekly: stats.keepWeekly ?? 104
+  };
+}
+
+// Drop the oldest daily and weekly periods beyond the configured counts.
+// Monthly and seasonal periods are few enough to keep them all.
+function pruneStats(state) {
+  const { keepDaily, keepWeekly } = getStatsConfig();
+
+  for (const [period, keep] of [
+    ["daily", keepDaily],
+    ["weekly", keepWeekly]
+  ]) {
+    Object.entries(state.periods)
+      .filter(([, totals]) => totals.period === period)
+      .sort(([, a], [, b]) => b.from.localeCompare(a.from))
+      .slice(keep)
+      .forEach(([id]) => delete state.periods[id]);
+  }
+}
+
+// Writes are batched, at most once a minute per location. Samples that never
+// made it to the file are read back from storage on the next load.
+const statsSaveTimers = new Map();
+
+function saveStats(location, state) {
+  if (statsSaveTimers.has(location.id)) return;
+
+  const timer = setTimeout(() => {
+    statsSaveTimers.delete(location.id);
+    const statsFile = getStatsFile(location);
+
+    try {
+      pruneStats(state);
+
+      // Write to a temporary file first so a crash never leaves half a file
+      fs.writeFileSync(`${statsFile}.tmp`, JSON.stringify(state));
+      fs.renameSync(`${statsFile}.tmp`, statsFile);
+    } catch (error) {
+      console.error("Error saving statistics:", error);
+    }
+  }, 60000);
+  timer.unref();
+  statsSaveTimers.set(location.id, timer);
+}
+
+// Totals for a location, loaded on first use and caught up with any samples
+// saved since they were last written
+function getStatsState(location) {
+  if (!statsStates.has(location.id)) {
+    const statsFile = getStatsFile(location);
+    const state = fs.existsSync(statsFile)
+      ? JSON.parse(fs.readFileSync(statsFile, "utf8"))
+      : { through: 0, periods: {} };
+    statsStates.set(location.id, state);
+
+    const missed = getStorage(location).getSamplesInRange(
+      state.through + 1,
+      Date.now()
+    );
+    if (missed.length > 0) {
+      missed.forEach((entry) => addSampleToStats(location, state, entry));
+      pruneStats(state);
+      saveStats(location, state);
+      console.log(
+        `Added ${missed.length} samples to the ${location.id} statistics`
+      );
+    }
+  }
+
+  return statsStates.get(location.id);
+}
+
+function addSampleToStats(location, state, { date, time, timestamp, sample }) {
+  // Samples already counted (or overwritten under the same slot) are skipped
+  if (timestamp <= state.through) return;
+  state.through = timestamp;
+
+  const condition = getSampleCondition(location, sample, timestamp);
+  const label = condition ? condition.label : null;
+  const hour = String(parseTimeKey(time).hour).padStart(2, "0");
+  const labs = Object.entries(sample.colors).map(([direction, hex]) => [
+    direction,
+    rgbToOklab(hexToRgb(hex))
+  ]);
+  const chroma =
+    labs.reduce((sum, [, lab]) => sum + Math.hypot(lab[1], lab[2]), 0) /
+    labs.length;
+
+  for (const [period, getPeriod] of Object.entries(statsPeriods)) {
+    const { key, from, to } = getPeriod(date);
+    const id = `${period} ${key}`;
+
+    if (!state.periods[id]) {
+      state.periods[id] = {
+        period,
+        key,
+        from,
+        to,
+        sampleCount: 0,
+        firstSample: timestamp,
+        lastSample: timestamp,
+        // Every non-night color, for the color of the period
+        overall: { sum: [0, 0, 0], count: 0 },
+        directions: {},
+        sunset: null
+      };
+    }
+
+    const totals = state.periods[id];
+    totals.sampleCount++;
+    totals.lastSample = timestamp;
+
+    for (const [direction, lab] of labs) {
+      if (!totals.directions[direction]) {
+        totals.directions[direction] = {
+          sum: [0, 0, 0],
+          sumSquares: [0, 0, 0],
+          count: 0,
+          hours: {}
+        };
+      }
+
+      const directionTotals = totals.directions[direction];
+      directionTotals.count++;
+      lab.forEach((value, i) => {
+        directionTotals.sum[i] += value;
+        directionTotals.sumSquares[i] += value * value;
+      });
+
+      const hourTotals = directionTotals.hours[hour] || { sum: 0, count: 0 };
+      hourTotals.sum += lab[0];
+      hourTotals.count++;
+      directionTotals.hours[hour] = hourTotals;
+
+      if (label !== "night") {
+        lab.forEach((value, i) => (totals.overall.sum[i] += value));
+        totals.overall.count++;
+      }
+    }
+
+    if (
+      label === "sunset" &&
+      (!totals.sunset || chroma > totals.sunset.chroma)
+    ) {
+      totals.sunset = { date, time, timestamp, chroma, colors: sample.colors };
+    }
+  }
+}
+
+// Add a just-saved sample and write the totals back
+function recordSampleStats(location, entry) {
+  const state = getStatsState(location);
+  if (entry.timestamp <= state.through) return;
+
+  addSampleToStats(location, state, entry);
+  saveStats(location, state);
+}
+
+function formatOklab(lab) {
+  return rgbToHex(...oklabToRgb(lab));
+}
+
+function formatStatsPeriod(location, totals) {
+  const mean = ({ sum, count }) => sum.map((value) => value / count);
+
+  return {
+    period: totals.period,
+    key: totals.key,
+    from: totals.from,
+    to: totals.to,
+    sampleCount: totals.sampleCount,
+    firstSample: totals.firstSample,
+    lastSample: totals.lastSample,
+    // Average of every direction, leaving out samples classified as night
+    colorOfPeriod:
+      totals.overall.count > 0 ? formatOklab(mean(totals.overall)) : null,
+    directions: Object.fromEntries(
+      Object.entries(totals.directions).map(([direction, directionTotals]) => {
+        const average = mean(directionTotals);
+        const variance = directionTotals.sumSquares.map((sumSquares, i) =>
+          Math.max(sumSquares / directionTotals.count - average[i] ** 2, 0)
+        );
+
+        return [
+          direction,
+          {
+            sampleCount: directionTotals.count,
+            average: formatOklab(average),
+            variance: {
+              l: round(variance[0], 6),
+              a: round(variance[1], 6),
+              b: round(variance[2], 6)
+            },
+            // Typical distance from the average, in the same units as deltaE
+            spread: round(
+              Math.sqrt(variance.reduce((sum, value) => sum + value, 0)) * 100,
+              2
+            ),
+            // Mean OKLab lightness (0-1) by local hour of day
+            brightness: Object.entries(directionTotals.hours)
+              .sort(([a], [b]) => a.localeCompare(b))
+              .map(([hour, { sum, count }]) => ({
+                hour: `${hour}:00`,
+                lightness: round(sum / count, 4),
+                sampleCount: count
+              }))
+          }
+        ];
+      })
+    ),
+    mostSaturatedSunset: totals.sunset
+      ? {
+          date: totals.sunset.date,
+          time: totals.sunset.time,
+          timestamp: totals.sunset.timestamp,
+          formatted: formatLocalDateTime(
+            totals.sunset.timestamp,
+            location.timezone
+          ),
+          chroma: round(totals.sunset.chroma, 4),
+          colors: totals.sunset.colors
+        }
+      : null
+  };
+}
+
+// Summaries for one kind of period: the one containing ?date=, or the most
+// recent ?limit= of them
+app.get("/api/stats", async (req, res) => {
+  try {
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
+
+    const period = req.query.period || "daily";
+    const limit = req.query.limit ? Number(req.query.limit) : 10;
+    const date = req.query.date;
+
+    if (
+      !statsPeriods[period] ||
+      !Number.isInteger(limit) ||
+      limit < 1 ||
+      limit > 366 ||
+      (date !== undefined &&
+        (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))))
+    ) {
+      return res.status(400).json({
+        error: "Invalid stats parameters",
+        message: `period must be one of ${Object.keys(statsPeriods).join(", ")}, date a YYYY-MM-DD date and limit between 1 and 366`,
+        example: "Use format: ?period=monthly&date=2025-11-02"
+      });
+    }
+
+    const state = getStatsState(location);
+    const periods = Object.values(state.periods)
+      .filter((totals) => totals.period === period)
+      .filter(
+        (totals) =>
+          date === undefined || (totals.from <= date && totals.to >= date)
+      )
+      .sort((a, b) => b.from.localeCompare(a.from))
+      .slice(0, limit)
+      .map((totals) => formatStatsPeriod(location, totals));
+
+    res.json({
+      location: location.id,
+      timezone: location.timezone,
+      period,
+      updatedThrough: state.through || null,
+      periods
+    });
+  } catch (error) {
+    console.error("Stats endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get statistics",
+      message: error.message
+    });
+  }
+});
+
+// Highlights: notable moments of a local day picked from its samples. The
+// most vivid sunrise and sunset are the twilight samples (golden hour, sunset
+// or blue hour) with the highest average chroma before and after solar noon.
+// The fastest change is the biggest deltaE between consecutive captures, and
+// unusual samples are the ones furthest from the average color at the same
+// time on the previous days.
+const twilightConditions = ["golden-hour", "sunset", "blue-hour"];
+
+function getHighlightsConfig() {
+  const highlights = config.highlights || {};
+
+  return {
+    baselineDays: highlights.baselineDays ?? 14,
+    minBaselineDays: highlights.minBaselineDays ?? 3,
+    unusualThreshold: highlights.unusualThreshold ?? 15,
+    maxUnusual: highlights.maxUnusual ?? 3
+  };
+}
+
+// Mean OKLab chroma over a sample's directions
+function getSampleChroma(colors) {
+  const chromas = Object.values(colors).map(
+    (hex) => oklabToOklch(rgbToOklab(hexToRgb(hex)))[1]
+  );
+  return chromas.reduce((sum, c) => sum + c, 0) / chromas.length;
+}
+
+// A sample as listed in highlights, with links to its archived frame and
+// crops when the archive has them
+function formatHighlight(location, date, interval, details) {
+  const timeKey = interval.time.replace(":", "-");
+  const query = new URLSearchParams({
+    date,
+    time: interval.time,
+    location: location.id
+  });
+  const crops = Object.keys(interval.colors).filter((direction) =>
+    findArchivedImage(location, date, timeKey, getCropImageName(direction))
+  );
+
+  return {
+    date,
+    time: interval.time,
+    timestamp: interval.timestamp,
+    formatted: formatLocalDateTime(interval.timestamp, location.timezone),
+    colors: interval.colors,
+    condition: interval.condition ? interval.condition.label : null,
+    ...details,
+    frame: findArchivedImage(location, date, timeKey, "frame")
+      ? `/api/frame?${query}`
+      : null,
+    crops: Object.fromEntries(
+      crops.map((direction) => [
+        direction,
+        `/api/frame/crop/${encodeURIComponent(direction)}?${query}`
+      ])
+    )
+  };
+}
+
+function getHighlights(location, date) {
+  const settings = getHighlightsConfig();
+  const intervals = getAllColorDataForDate(date, location);
+  const noon = getLocationCoordinates(location)
+    ? getSolarEvents(location, date).solarNoon
+    : getSampleTimestamp(location, date, "12:00");
+
+  // Most vivid twilight sample on one side of solar noon
+  const mostVivid = (morning) => {
+    const candidates = intervals
+      .filter(
+        (interval) =>
+          interval.condition &&
+          twilightConditions.includes(interval.condition.label) &&
+          interval.timestamp < noon === morning
+      )
+      .map((interval) => ({
+        interval,
+        chroma: getSampleChroma(interval.colors)
+      }))
+      .sort((a, b) => b.chroma - a.chroma);
+
+    return candidates.length > 0
+      ? formatHighlight(location, date, candidates[0].interval, {
+          chroma: round(candidates[0].chroma, 4)
+        })
+      : null;
+  };
+
+  // Only consecutive captures, not across a gap of a missed slot or more
+  const maxStep = location.cache.updateIntervalMinutes * 1.5 * 60000;
+  let fastestChange = null;
+  for (let i = 1; i < intervals.length; i++) {
+    const [before, after] = [intervals[i - 1], intervals[i]];
+    if (after.timestamp - before.timestamp > maxStep) continue;
+
+    const deltaE = getColorChange(before.colors, after.colors);
+    if (deltaE !== null && (!fastestChange || deltaE > fastestChange.deltaE)) {
+      fastestChange = { before, after, deltaE };
+    }
+  }
+
+  // Average color of each direction at each time of day over the previous
+  // days, from the samples at the same time key
+  const storage = getStorage(location);
+  const baseline = new Map();
+  let baselineDate = date;
+  let baselineDays = 0;
+  for (let i = 0; i < settings.baselineDays; i++) {
+    baselineDate = new Date(Date.parse(baselineDate + "T00:00:00Z") - 86400000)
+      .toISOString()
+      .slice(0, 10);
+
+    const samples = storage.hasDate(baselineDate)
+      ? storage.getSamplesForDate(baselineDate)
+      : [];
+    if (samples.length > 0) baselineDays++;
+
+    for (const { time, sample } of samples) {
+      if (!baseline.has(time)) baseline.set(time, []);
+      baseline.get(time).push(sample);
+    }
+  }
+
+  const unusual =
+    baselineDays < settings.minBaselineDays
+      ? []
+      : intervals
+          .filter(
+            (interval) =>
+              (baseline.get(interval.time) || []).length >=
+              settings.minBaselineDays
+          )
+          .map((interval) => {
+            const average = averageColors(baseline.get(interval.time));
+            const distances = Object.entries(interval.colors)
+              .filter(([direction]) => average[direction])
+              .map(([direction, hex]) =>
+                oklabDistance(
+                  rgbToOklab(hexToRgb(average[direction])),
+                  rgbToOklab(hexToRgb(hex))
+                )
+              );
+            const score =
+              (distances.reduce((sum, distance) => sum + distance, 0) /
+                distances.length) *
+              100;
+
+            return { interval, average, score };
+          })
+          .filter(({ score }) => score >= settings.unusualThreshold)
+          .sort((a, b) => b.score - a.score)
+          .slice(0, settings.maxUnusual)
+          .map(({ interval, average, score }) =>
+            formatHighlight(location, date, interval, {
+              score: round(score, 2),
+              usualColors: average
+            })
+          );
+
+  return {
+    sunrise: mostVivid(true),
+    sunset: mostVivid(false),
+    fastestChange: fastestChange
+      ? formatHighlight(location, date, fastestChange.after, {
+          deltaE: fastestChange.deltaE,
+          previous: {
+            time: fastestChange.before.time,
+            timestamp: fastestChange.before.timestamp,
+            colors: fastestChange.before.colors
           }
-        }
+        })
+      : null,
+    unusual,
+    baselineDays
+  };
+}
+
+app.get("/api/highlights", async (req, res) => {
+  try {
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
+
+    const date =
+      req.query.date || getLocalDateString(Date.now(), location.timezone);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+      return res.status(400).json({
+        error: "Invalid date format",
+        message: "Date must be in YYYY-MM-DD format",
+        example: "Use format: ?date=2025-09-28"
+      });
+    }
+
+    if (!getStorage(location).hasDate(date)) {
+      return res.status(404).json({
+        error: "Date not found",
+        message: `No data available for date ${date}`
+      });
+    }
+
+    res.json({
+      location: location.id,
+      timezone: location.timezone,
+      date,
+      ...getHighlights(location, date)
+    });
+  } catch (error) {
+    console.error("Highlights endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get highlights",
+      message: error.message
+    });
+  }
+});
+
+app.get("/api/locations", async (req, res) => {
+  try {
+    const locations = getLocations().map((location) => {
+      const latest = getLatestColorData(location);
+
+      return {
+        id: location.id,
+        name: location.name,
+        isDefault: location.id === defaultLocationId,
+        timezone: location.timezone,
+        source: getPublicSource(location.source),
+        updateInterval: {
+          minutes: location.cache.updateIntervalMinutes,
+          milliseconds: location.cache.updateIntervalMinutes * 60 * 1000
+        },
+        latest: latest
+          ? {
+              colors: latest.colors,
+              timestamp: latest.timestamp,
+              formatted: formatLocalDateTime(
+                latest.timestamp,
+                location.timezone
+              )
+            }
+          : null
       };
-    } else {
-      // Standard response format for single time point requests
-      const lastUpdatedFormatted =
-        new Date(colorData.timestamp).toLocaleDateString("en-US", {
-          timeZone: "America/New_York",
-          year: "numeric",
-          month: "long",
-          day: "numeric"
-        }) +
-        " at " +
-        new Date(colorData.timestamp).toLocaleTimeString("en-US", {
-          timeZone: "America/New_York",
-          hour: "numeric",
-          minute: "2-digit",
-          hour12: true
-        });
+    });
+
+    res.json({
+      locations,
+      totalLocations: locations.length,
+      defaultLocation: defaultLocationId
+    });
+  } catch (error) {
+    console.error("Locations endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get locations",
+      message: error.message
+    });
+  }
+});
+
+// Same as /api (including ?date= and ?date=&time=) for a specific location
+app.get("/api/locations/:id", async (req, res) => {
+  const location = getLocation(req.params.id);
+
+  if (!location) {
+    return res.status(404).json({
+      error: "Unknown location",
+      message: `No location with id "${req.params.id}"`,
+      availableLocations: getLocations().map((l) => l.id)
+    });
+  }
+
+  await handleColorsRequest(location, req, res);
+});
+
+app.get("/api/locations/:id/recent", async (req, res) => {
+  try {
+    const location = getLocation(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        error: "Unknown location",
+        message: `No location with id "${req.params.id}"`,
+        availableLocations: getLocations().map((l) => l.id)
+      });
+    }
+
+    const format = getRequestedFormat(req, res);
+    if (!format) return;
+
+    const recentData = generateRecentData(location, format);
+    res.json({ location: location.id, ...recentData });
+  } catch (error) {
+    console.error("Location recent data endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get recent data",
+      message: error.message
+    });
+  }
+});
+
+// Cached version of recent data - serves a pre-generated JSON file
+app.get("/api/recent-cached", async (req, res) => {
+  try {
+    const cachePath = path.join(dataDir, "recent-cache.json");
+    
+    if (!fs.existsSync(cachePath)) {
+      return res.status(404).json({
+        error: "Cache not found",
+        message: "Please use /api/update-recent-cache to generate the cache first"
+      });
+    }
+
+    const cacheData = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+    res.json(cacheData);
+  } catch (error) {
+    console.error("Cached recent data endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get cached recent data",
+      message: error.message
+    });
+  }
+});
+
+// Endpoint to update the recent data cache
+adminRoute("/api/update-recent-cache", async (req, res) => {
+  try {
+    const recentData = generateRecentData();
+    
+    // Add metadata about when the cache was generated
+    const cacheWithMetadata = {
+      ...recentData,
+      cachedAt: Date.now(),
+      cachedAtFormatted: new Date().toLocaleString("en-US", {
+        timeZone: "America/New_York",
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+        hour12: true
+      })
+    };
+
+    const cachePath = path.join(dataDir, "recent-cache.json");
+    fs.writeFileSync(cachePath, JSON.stringify(cacheWithMetadata, null, 2));
+    
+    console.log("Recent data cache updated successfully");
+    
+    res.json({
+      message: "Cache updated successfully",
+      totalIntervals: recentData.totalIntervals,
+      daysIncluded: recentData.daysIncluded,
+      dateRange: recentData.dateRange,
+      cachedAt: cacheWithMetadata.cachedAt,
+      cachedAtFormatted: cacheWithMetadata.cachedAtFormatted
+    });
+  } catch (error) {
+    console.error("Update recent cache endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to update cache",
+      message: error.message
+    });
+  }
+});
+
+app.get("/", async (req, res) => {
+  try {
+    // Serve the client HTML file
+    const clientPath = path.join(process.cwd(), "index.html");
+    res.sendFile(clientPath);
+  } catch (error) {
+    console.error("Client endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to serve client",
+      message: error.message
+    });
+  }
+});
+
+app.get("/history", async (req, res) => {
+  try {
+    // Serve the history view HTML file
+    const historyPath = path.join(process.cwd(), "history.html");
+    res.sendFile(historyPath);
+  } catch (error) {
+    console.error("History endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to serve history view",
+      message: error.message
+    });
+  }
+});
+
+// Validate ?date=&time= for archived frame lookups, returning the date folder
+// and HH-MM[b] key
+function parseFrameParams(dateStr, timeStr) {
+  if (!dateStr || !timeStr) {
+    throw new Error("Both date and time parameters are required");
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
+    throw new Error("Invalid date format. Expected YYYY-MM-DD");
+  }
+
+  if (!/^\d{1,2}:\d{2}b?$/.test(timeStr)) {
+    throw new Error("Invalid time format. Expected H:MM or HH:MM");
+  }
+
+  const { hour, minute, repeated } = parseTimeKey(timeStr);
+  return {
+    dateStr,
+    timeKey: formatTimeKey(hour, minute, repeated).replace(":", "-")
+  };
+}
+
+function sendArchivedImage(req, res, name) {
+  const location = getRequestedLocation(req, res);
+  if (!location) return;
+
+  let params;
+  try {
+    params = parseFrameParams(req.query.date, req.query.time);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid date/time parameters",
+      message: error.message,
+      example: "Use format: ?date=2025-09-28&time=22:45"
+    });
+  }
+
+  const image = findArchivedImage(
+    location,
+    params.dateStr,
+    params.timeKey,
+    name
+  );
+
+  if (!image) {
+    return res.status(404).json({
+      error: "Frame not found",
+      message: `No archived ${name} for ${params.dateStr} at ${params.timeKey.replace("-", ":")}`
+    });
+  }
+
+  res.set("Content-Type", image.contentType);
+  res.sendFile(image.filePath);
+}
+
+// Admin authentication: /admin, /debug and the cache update routes need a
+// credential from config.admin or the ADMIN_TOKEN environment variable, sent
+// as "Authorization: Bearer <token>" or "X-API-Key: <key>". Without any
+// credential configured those routes stay disabled.
+function getAdminCredentials() {
+  const admin = config.admin || {};
+  const credentials = [];
+
+  if (process.env.ADMIN_TOKEN) {
+    credentials.push({ name: "ADMIN_TOKEN", secret: process.env.ADMIN_TOKEN });
+  }
+  if (admin.token) {
+    credentials.push({ name: "admin.token", secret: admin.token });
+  }
+  for (const apiKey of admin.apiKeys || []) {
+    credentials.push({ name: apiKey.name, secret: apiKey.key });
+  }
+
+  return credentials;
+}
+
+function getProvidedCredential(req) {
+  const authorization = req.get("authorization") || "";
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+
+  return bearer ? bearer[1].trim() : req.get("x-api-key") || null;
+}
 
-      response = {
-        colors: colorData.colors,
-        metadata: {
-          isHistoricalData,
-          lastUpdated: {
-            timestamp: colorData.timestamp,
-            formatted: lastUpdatedFormatted
-          },
-          source: config.source,
-          updateInterval: {
-            minutes: config.cache.updateIntervalMinutes,
-            milliseconds: config.cache.updateIntervalMinutes * 60 * 1000
-          }
-        }
-      };
-    }
+// One JSON line per rejected request, so failures can be counted and alerted on
+function logAuthFailure(req, reason) {
+  console.error(
+    JSON.stringify({
+      event: "auth-failure",
+      reason,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      ip: req.ip,
+      userAgent: req.get("user-agent") || null,
+      at: new Date().toISOString()
+    })
+  );
+}
 
-    // Only add cache age for current data (not historical)
-    if (!isHistoricalData) {
-      const cacheAge = Date.now() - colorData.timestamp;
+const authFailureMessages = {
+  "not-configured":
+    "Set admin.token or admin.apiKeys in config.json, or the ADMIN_TOKEN environment variable",
+  "missing-credentials":
+    "Send an admin credential as Authorization: Bearer <token> or X-API-Key: <key>",
+  "invalid-credentials": "The admin credential was not recognised"
+};
+
+function rejectAdminRequest(req, res, reason) {
+  logAuthFailure(req, reason);
+
+  if (reason === "not-configured") {
+    return res.status(403).json({
+      error: "Admin access not configured",
+      reason,
+      message: authFailureMessages[reason]
+    });
+  }
 
-      // Format cache age for display
-      function formatCacheAge(ageMs) {
-        const seconds = Math.floor(ageMs / 1000);
-        const minutes = Math.floor(seconds / 60);
-        const hours = Math.floor(minutes / 60);
+  res.set(
+    "WWW-Authenticate",
+    reason === "invalid-credentials"
+      ? 'Bearer realm="sky-colors", error="invalid_token"'
+      : 'Bearer realm="sky-colors"'
+  );
+  res.status(401).json({
+    error: "Unauthorized",
+    reason,
+    message: authFailureMessages[reason]
+  });
+}
 
-        if (hours > 0) return hours + "h " + (minutes % 60) + "m";
-        if (minutes > 0) return minutes + "m " + (seconds % 60) + "s";
-        return seconds + "s";
+function requireAdmin(req, res, next) {
+  const credentials = getAdminCredentials();
+  if (credentials.length === 0) {
+    return rejectAdminRequest(req, res, "not-configured");
+  }
+
+  const provided = getProvidedCredential(req);
+  if (!provided) {
+    return rejectAdminRequest(req, res, "missing-credentials");
+  }
+
+  // Compare digests so every check takes the same time whatever the lengths
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  const match = credentials.find((credential) =>
+    crypto.timingSafeEqual(digest(credential.secret), digest(provided))
+  );
+
+  if (!match) {
+    return rejectAdminRequest(req, res, "invalid-credentials");
+  }
+
+  req.adminCredential = match.name;
+  next();
+}
+
+// Mutating and debug routes answer POST. GET still works for existing links
+// and scripts for now, with a Deprecation header pointing at the change.
+function adminRoute(routePath, ...handlers) {
+  app.post(routePath, requireAdmin, ...handlers);
+  app.get(
+    routePath,
+    requireAdmin,
+    (req, res, next) => {
+      res.set("Deprecation", "true");
+      res.set("Warning", `299 - "GET is deprecated here, use POST"`);
+      next();
+    },
+    ...handlers
+  );
+}
+
+// Start reprocessing archived frames for a date range as a new revision
+app.post("/admin/reprocess", requireAdmin, express.json(), async (req, res) => {
+  try {
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
+
+    const { from, to } = req.body || {};
+
+    try {
+      if (!from || !to) {
+        throw new Error("Both from and to are required");
       }
+      validateDateRange(from, to);
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid date range",
+        message: error.message,
+        example: '{ "from": "2025-09-28", "to": "2025-10-05" }'
+      });
+    }
 
-      response.metadata.cacheAge = {
-        milliseconds: cacheAge,
-        formatted: formatCacheAge(cacheAge)
-      };
+    if (reprocessInProgress.has(location.id)) {
+      return res.status(429).json({
+        error: "Reprocessing already in progress",
+        message: "Please wait for the current run to complete"
+      });
     }
 
-    // Only add next update info for current data (not historical)
-    if (!isHistoricalData) {
-      // Calculate next update time based on fixed intervals (e.g., :00, :15, :30, :45)
-      const now = Date.now();
-      const intervalMinutes = config.cache.updateIntervalMinutes;
+    const revision = (listRevisions(location).pop() || 0) + 1;
 
-      // Get current time in NYC timezone
-      const nycNowString = new Date(now).toLocaleString("en-US", {
-        timeZone: "America/New_York",
-        year: "numeric",
-        month: "2-digit",
-        day: "2-digit",
-        hour: "2-digit",
-        minute: "2-digit",
-        second: "2-digit",
-        hour12: false
-      });
+    // Run in the background; progress is tracked in the revision manifest
+    reprocessArchivedFrames(location, from, to).catch((err) => {
+      console.error("Reprocessing failed:", err);
+    });
 
-      // Parse the NYC time string to get components
-      const [datePart, timePart] = nycNowString.split(", ");
-      const [month, day, year] = datePart.split("/");
-      const [hour, minute, second] = timePart.split(":");
+    res.status(202).json({
+      message: "Reprocessing started",
+      status: "processing",
+      location: location.id,
+      revision,
+      statusUrl: `/admin/reprocess/${revision}?location=${location.id}`
+    });
+  } catch (error) {
+    console.error("Reprocess endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to start reprocessing",
+      message: error.message
+    });
+  }
+});
 
-      const currentMinutes = parseInt(minute);
-      const currentHour = parseInt(hour);
+app.get("/admin/reprocess", requireAdmin, async (req, res) => {
+  try {
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
 
-      // Calculate the next 15-minute interval
-      const nextIntervalMinute =
-        Math.ceil(currentMinutes / intervalMinutes) * intervalMinutes;
+    const revisions = listRevisions(location)
+      .map((revision) => readRevisionManifest(location, revision))
+      .filter(Boolean)
+      .map(({ failures, settings, ...summary }) => summary);
 
-      let nextHour = currentHour;
-      let nextMinute = nextIntervalMinute;
+    res.json({ location: location.id, revisions });
+  } catch (error) {
+    console.error("Reprocess list endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to list revisions",
+      message: error.message
+    });
+  }
+});
 
-      if (nextIntervalMinute >= 60) {
-        nextHour = currentHour + 1;
-        nextMinute = 0;
-      }
+app.get("/admin/reprocess/:revision", requireAdmin, async (req, res) => {
+  try {
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
 
-      // Use the same timezone conversion logic as in getLatestColorData()
-      // Create a UTC date with the NYC time components, then apply NYC offset
-      const utcDate = new Date(
-        Date.UTC(
-          parseInt(year),
-          parseInt(month) - 1,
-          parseInt(day),
-          nextHour,
-          nextMinute,
-          0
-        )
-      );
+    const manifest = /^\d+$/.test(req.params.revision)
+      ? readRevisionManifest(location, Number(req.params.revision))
+      : null;
 
-      // Get the timezone offset for NYC on this date
-      const testDate = new Date(
-        parseInt(year),
-        parseInt(month) - 1,
-        parseInt(day)
-      );
-      const nycTestTime = testDate.toLocaleString("en-US", {
-        timeZone: "America/New_York"
+    if (!manifest) {
+      return res.status(404).json({
+        error: "Revision not found",
+        message: `No revision ${req.params.revision} for ${location.id}`
       });
-      const utcTestTime = testDate.toLocaleString("en-US", { timeZone: "UTC" });
-      const nycOffset =
-        new Date(utcTestTime).getTime() - new Date(nycTestTime).getTime();
+    }
 
-      // Convert NYC time to proper UTC timestamp
-      const nextUpdateTime = utcDate.getTime() + nycOffset;
-      const timeToNextUpdate = nextUpdateTime - now;
+    res.json(manifest);
+  } catch (error) {
+    console.error("Reprocess status endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get revision",
+      message: error.message
+    });
+  }
+});
 
-      // Format next update time
-      const nextUpdateFormatted = new Date(nextUpdateTime).toLocaleTimeString(
-        "en-US",
+app.get("/admin/webhooks", requireAdmin, async (req, res) => {
+  try {
+    res.json({ webhooks: getWebhooks().map(describeWebhook) });
+  } catch (error) {
+    console.error("Webhooks endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to list webhooks",
+      message: error.message
+    });
+  }
+});
+
+app.post("/admin/webhooks", requireAdmin, express.json(), async (req, res) => {
+  try {
+    let webhook;
+    try {
+      webhook = normalizeWebhook(
         {
-          timeZone: "America/New_York",
-          hour: "numeric",
-          minute: "2-digit",
-          hour12: true
-        }
+          ...req.body,
+          id: crypto.randomUUID(),
+          // Generate a signing secret unless the caller brings their own
+          secret:
+            (req.body && req.body.secret) ||
+            crypto.randomBytes(32).toString("hex")
+        },
+        "api"
       );
-
-      // Add next update info to metadata
-      response.metadata.nextUpdate = {
-        timestamp: nextUpdateTime,
-        formatted: nextUpdateFormatted,
-        timeRemaining: Math.max(0, timeToNextUpdate),
-        timeRemainingFormatted: formatTimeRemaining(
-          Math.max(0, timeToNextUpdate)
-        )
-      };
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid webhook",
+        message: error.message,
+        example:
+          '{ "url": "https://example.com/hook", "events": ["sample"], "filters": { "minDeltaE": 5 } }'
+      });
     }
 
-    res.json(response);
+    const { source, ...stored } = webhook;
+    writeRegisteredWebhooks([...readRegisteredWebhooks(), stored]);
+
+    // The secret is only ever returned here
+    res
+      .status(201)
+      .json({ ...describeWebhook(webhook), secret: webhook.secret });
   } catch (error) {
-    console.error("API endpoint error:", error);
+    console.error("Webhooks endpoint error:", error);
     res.status(500).json({
-      error: "Failed to get API data",
+      error: "Failed to register webhook",
       message: error.message
     });
   }
 });
 
-app.get("/update-cache", async (req, res) => {
+app.delete("/admin/webhooks/:id", requireAdmin, async (req, res) => {
   try {
-    if (updateInProgress) {
-      return res.status(429).json({
-        error: "Update already in progress",
-        message: "Please wait for the current update to complete"
+    const registered = readRegisteredWebhooks();
+    const remaining = registered.filter(
+      (webhook) => webhook.id !== req.params.id
+    );
+
+    if (remaining.length === registered.length) {
+      const inConfig = getWebhooks().some(
+        (webhook) => webhook.id === req.params.id
+      );
+      return res.status(inConfig ? 409 : 404).json({
+        error: inConfig
+          ? "Webhook is defined in config.json"
+          : "Webhook not found",
+        message: inConfig
+          ? "Remove it from config.webhooks.endpoints instead"
+          : `No registered webhook with id "${req.params.id}"`
       });
     }
 
-    // Start the update process in the background
-    updateCacheFiles().catch((err) => {
-      console.error("Update failed:", err);
+    writeRegisteredWebhooks(remaining);
+    res.json({ message: "Webhook removed", id: req.params.id });
+  } catch (error) {
+    console.error("Webhooks endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to remove webhook",
+      message: error.message
     });
+  }
+});
 
-    res.json({
-      message: "Update started",
-      status: "processing"
-    });
+app.get("/admin/webhooks/deliveries", requireAdmin, async (req, res) => {
+  try {
+    const { webhook, status } = req.query;
+    const deliveries = webhookDeliveries
+      .filter((delivery) => !webhook || delivery.webhookId === webhook)
+      .filter((delivery) => !status || delivery.status === status)
+      .map(({ body, ...delivery }) => delivery)
+      .reverse();
+
+    res.json({ totalDeliveries: deliveries.length, deliveries });
   } catch (error) {
-    console.error("Update endpoint error:", error);
+    console.error("Webhooks endpoint error:", error);
     res.status(500).json({
-      error: "Failed to start update",
+      error: "Failed to list webhook deliveries",
       message: error.message
     });
   }
 });
 
-app.get("/api/available-dates", async (req, res) => {
+// Save a fresh frame as the location's reference view for health checks
+app.post("/admin/reference", requireAdmin, async (req, res) => {
   try {
-    // Get all date folders and sort by newest first
-    const dateFolders = fs
-      .readdirSync(dataDir)
-      .filter((item) => {
-        const itemPath = path.join(dataDir, item);
-        return (
-          fs.statSync(itemPath).isDirectory() &&
-          /^\d{4}-\d{2}-\d{2}$/.test(item)
-        );
-      })
-      .sort((a, b) => b.localeCompare(a)); // Sort dates descending
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
 
-    // For each date folder, get the count of time intervals
-    const availableDates = [];
+    const imageBuffer = await convertToPng(await getFrameData(location.source));
+    const { referenceImage } = getHealthConfig(location);
 
-    for (const dateFolder of dateFolders) {
-      const dateFolderPath = path.join(dataDir, dateFolder);
-
-      try {
-        // Get all time files in this date folder
-        const timeFiles = fs
-          .readdirSync(dateFolderPath)
-          .filter(
-            (file) => file.endsWith(".json") && /^\d{2}-\d{2}\.json$/.test(file)
-          );
+    fs.mkdirSync(path.dirname(referenceImage), { recursive: true });
+    fs.writeFileSync(referenceImage, imageBuffer);
 
-        if (timeFiles.length > 0) {
-          // Get first and last time for this date
-          const sortedTimes = timeFiles
-            .map((file) => file.replace(".json", "").replace("-", ":"))
-            .sort();
-
-          availableDates.push({
-            date: dateFolder,
-            intervalCount: timeFiles.length,
-            firstTime: sortedTimes[0],
-            lastTime: sortedTimes[sortedTimes.length - 1],
-            formatted: new Date(dateFolder + "T00:00:00").toLocaleDateString(
-              "en-US",
-              {
-                year: "numeric",
-                month: "long",
-                day: "numeric"
-              }
-            )
-          });
-        }
-      } catch (error) {
-        console.error(`Error reading date folder ${dateFolder}:`, error);
-        // Skip this date folder if there's an error
-        continue;
-      }
-    }
+    // Calibration was measured against the old reference frame
+    fs.rmSync(getCalibrationFile(location), { force: true });
+    console.log(
+      `Saved reference frame for ${location.id} to ${referenceImage}`
+    );
 
     res.json({
-      availableDates,
-      totalDates: availableDates.length,
-      latestDate: availableDates.length > 0 ? availableDates[0].date : null,
-      oldestDate:
-        availableDates.length > 0
-          ? availableDates[availableDates.length - 1].date
-          : null
+      message: "Reference frame saved",
+      location: location.id,
+      ...getImageDimensions(imageBuffer)
     });
   } catch (error) {
-    console.error("Available dates endpoint error:", error);
+    console.error("Reference endpoint error:", error);
     res.status(500).json({
-      error: "Failed to get available dates",
+      error: "Failed to save reference frame",
       message: error.message
     });
   }
 });
 
-// Helper function to generate recent data (used by both live and cached endpoints)
-function generateRecentData() {
-  // Get all date folders and sort by newest first
-  const dateFolders = fs
-    .readdirSync(dataDir)
-    .filter((item) => {
-      const itemPath = path.join(dataDir, item);
-      return (
-        fs.statSync(itemPath).isDirectory() &&
-        /^\d{4}-\d{2}-\d{2}$/.test(item)
-      );
-    })
-    .sort((a, b) => b.localeCompare(a)) // Sort dates descending
-    .slice(0, 30); // Take only the most recent 30 days
+// View the reference frame used for viewpoint checks
+app.get("/admin/reference", requireAdmin, async (req, res) => {
+  try {
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
 
-  const allIntervals = [];
-  let totalIntervals = 0;
+    const { referenceImage } = getHealthConfig(location);
 
-  // Load data for each of the recent dates
-  for (const dateFolder of dateFolders) {
-    const dateFolderPath = path.join(dataDir, dateFolder);
+    if (!fs.existsSync(referenceImage)) {
+      return res.status(404).json({
+        error: "No reference frame",
+        message: `Save one with POST /admin/reference?location=${location.id}`
+      });
+    }
 
-    try {
-      // Get all time files in this date folder
-      const timeFiles = fs
-        .readdirSync(dateFolderPath)
-        .filter(
-          (file) => file.endsWith(".json") && /^\d{2}-\d{2}\.json$/.test(file)
-        )
-        .sort((a, b) => a.localeCompare(b)); // Sort times ascending
+    res.sendFile(referenceImage);
+  } catch (error) {
+    console.error("Reference endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get reference frame",
+      message: error.message
+    });
+  }
+});
 
-      // Read all color data files for this date
-      for (const timeFile of timeFiles) {
-        const filePath = path.join(dateFolderPath, timeFile);
-        const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+// Calibration state and proposed crop coordinates for a location
+app.get("/admin/calibration", requireAdmin, async (req, res) => {
+  try {
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
 
-        // Extract time from filename (HH-MM.json -> HH:MM)
-        const timeStr = timeFile.replace(".json", "").replace("-", ":");
+    const { lastMatch, applied } = readCalibration(location);
 
-        // Create timestamp from date and time (NYC timezone)
-        const [year, month, day] = dateFolder.split("-").map(Number);
-        const [hour, minute] = timeStr.split(":").map(Number);
+    res.json({
+      location: location.id,
+      ...getCalibrationConfig(location),
+      units: location.crops.units || "pixels",
+      hasReferenceImage: fs.existsSync(
+        getHealthConfig(location).referenceImage
+      ),
+      lastMatch,
+      applied,
+      proposedCoordinates:
+        lastMatch && lastMatch.accepted
+          ? proposeCropCoordinates(location, lastMatch)
+          : null
+    });
+  } catch (error) {
+    console.error("Calibration endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get calibration",
+      message: error.message
+    });
+  }
+});
 
-        // Create a date object representing this time in NYC
-        const utcDate = new Date(
-          Date.UTC(year, month - 1, day, hour, minute, 0)
-        );
+// Match a fresh frame against the reference frame now
+app.post("/admin/calibration", requireAdmin, async (req, res) => {
+  try {
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
 
-        // Adjust for NYC timezone offset
-        const testDate = new Date(year, month - 1, day);
-        const nycTestTime = testDate.toLocaleString("en-US", {
-          timeZone: "America/New_York"
-        });
-        const utcTestTime = testDate.toLocaleString("en-US", {
-          timeZone: "UTC"
-        });
-        const nycOffset =
-          new Date(utcTestTime).getTime() - new Date(nycTestTime).getTime();
+    if (!fs.existsSync(getHealthConfig(location).referenceImage)) {
+      return res.status(409).json({
+        error: "No reference frame",
+        message: `Save one with POST /admin/reference?location=${location.id}`
+      });
+    }
 
-        const timestamp = utcDate.getTime() + nycOffset;
+    const frame = await decodeFrame(
+      await convertToPng(await getFrameData(location.source))
+    );
+    const match = await calibrateFrame(location, frame);
 
-        allIntervals.push({
-          date: dateFolder,
-          time: timeStr,
-          colors: data,
-          timestamp
-        });
+    res.json({
+      location: location.id,
+      mode: getCalibrationConfig(location).mode,
+      match,
+      proposedCoordinates:
+        match && match.accepted ? proposeCropCoordinates(location, match) : null
+    });
+  } catch (error) {
+    console.error("Calibration endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to calibrate crops",
+      message: error.message
+    });
+  }
+});
 
-        totalIntervals++;
-      }
-    } catch (error) {
-      console.error(`Error reading date folder ${dateFolder}:`, error);
-      continue;
-    }
+// Archived full frame for a sample
+app.get("/api/frame", async (req, res) => {
+  try {
+    sendArchivedImage(req, res, "frame");
+  } catch (error) {
+    console.error("Frame endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to get archived frame",
+      message: error.message
+    });
   }
+});
 
-  // Sort all intervals by timestamp (newest first)
-  allIntervals.sort((a, b) => b.timestamp - a.timestamp);
+// Archived crop for a sample
+app.get("/api/frame/crop/:direction", async (req, res) => {
+  try {
+    sendArchivedImage(req, res, getCropImageName(req.params.direction));
+  } catch (error) {
+    console.error(`Crop frame ${req.params.direction} endpoint error:`, error);
+    res.status(500).json({
+      error: "Failed to get archived crop",
+      message: error.message
+    });
+  }
+});
 
-  return {
-    intervals: allIntervals,
-    totalIntervals,
-    dateRange: {
-      from:
-        dateFolders.length > 0 ? dateFolders[dateFolders.length - 1] : null,
-      to: dateFolders.length > 0 ? dateFolders[0] : null
-    },
-    daysIncluded: dateFolders.length
-  };
-}
+// Debug endpoint to get the latest full frame image
+adminRoute("/debug/image", async (req, res) => {
+  try {
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
+
+    console.log("Getting latest full frame image for debug...");
+    const imageBuffer = await getFrameData(location.source);
+
+    res.set({
+      "Content-Type": "image/png",
+      "Content-Length": imageBuffer.length
+    });
 
-app.get("/api/recent", async (req, res) => {
-  try {
-    const recentData = generateRecentData();
-    res.json(recentData);
+    res.send(imageBuffer);
   } catch (error) {
-    console.error("Recent data endpoint error:", error);
+    console.error("Debug latest image error:", error);
     res.status(500).json({
-      error: "Failed to get recent data",
+      error: "Failed to get latest image",
       message: error.message
     });
   }
 });
 
-// Cached version of recent data - serves a pre-generated JSON file
-app.get("/api/recent-cached", async (req, res) => {
-  try {
-    const cachePath = path.join(dataDir, "recent-cache.json");
-    
-    if (!fs.existsSync(cachePath)) {
-      return res.status(404).json({
-        error: "Cache not found",
-        message: "Please use /api/update-recent-cache to generate the cache first"
-      });
-    }
+// Save config.json after a change made at runtime
+function writeConfig(next) {
+  fs.writeFileSync(configPath, JSON.stringify(next, null, 2) + "\n");
+}
 
-    const cacheData = JSON.parse(fs.readFileSync(cachePath, "utf8"));
-    res.json(cacheData);
+// Crop editor: /debug/editor draws crops on one captured frame per location,
+// kept in memory so saved crops are checked against the frame they were
+// drawn on
+const editorFrames = new Map();
+
+app.get("/debug/editor", async (req, res) => {
+  try {
+    // Serve the crop editor HTML file
+    const editorPath = path.join(process.cwd(), "editor.html");
+    res.sendFile(editorPath);
   } catch (error) {
-    console.error("Cached recent data endpoint error:", error);
+    console.error("Editor endpoint error:", error);
     res.status(500).json({
-      error: "Failed to get cached recent data",
+      error: "Failed to serve crop editor",
       message: error.message
     });
   }
 });
 
-// Endpoint to update the recent data cache
-app.get("/api/update-recent-cache", async (req, res) => {
+// Capture a fresh frame for the editor
+adminRoute("/debug/editor/frame", async (req, res) => {
   try {
-    const recentData = generateRecentData();
-    
-    // Add metadata about when the cache was generated
-    const cacheWithMetadata = {
-      ...recentData,
-      cachedAt: Date.now(),
-      cachedAtFormatted: new Date().toLocaleString("en-US", {
-        timeZone: "America/New_York",
-        year: "numeric",
-        month: "long",
-        day: "numeric",
-        hour: "numeric",
-        minute: "2-digit",
-        hour12: true
-      })
-    };
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
 
-    const cachePath = path.join(dataDir, "recent-cache.json");
-    fs.writeFileSync(cachePath, JSON.stringify(cacheWithMetadata, null, 2));
-    
-    console.log("Recent data cache updated successfully");
-    
-    res.json({
-      message: "Cache updated successfully",
-      totalIntervals: recentData.totalIntervals,
-      daysIncluded: recentData.daysIncluded,
-      dateRange: recentData.dateRange,
-      cachedAt: cacheWithMetadata.cachedAt,
-      cachedAtFormatted: cacheWithMetadata.cachedAtFormatted
+    const imageBuffer = await convertToPng(await getFrameData(location.source));
+    editorFrames.set(location.id, {
+      imageBuffer,
+      ...getImageDimensions(imageBuffer),
+      capturedAt: Date.now()
+    });
+
+    res.set({
+      "Content-Type": "image/png",
+      "Content-Length": imageBuffer.length,
+      "Cache-Control": "no-store"
     });
+    res.send(imageBuffer);
   } catch (error) {
-    console.error("Update recent cache endpoint error:", error);
+    console.error("Editor frame error:", error);
     res.status(500).json({
-      error: "Failed to update cache",
+      error: "Failed to get editor frame",
       message: error.message
     });
   }
 });
 
-app.get("/", async (req, res) => {
+// Crop regions as pixel boxes on the editor's frame
+adminRoute("/debug/editor/crops", async (req, res) => {
   try {
-    // Serve the client HTML file
-    const clientPath = path.join(process.cwd(), "index.html");
-    res.sendFile(clientPath);
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
+
+    const frame = editorFrames.get(location.id);
+    if (!frame) {
+      return res.status(409).json({
+        error: "No editor frame",
+        message: `Load /debug/editor/frame?location=${location.id} first`
+      });
+    }
+
+    res.json({
+      location: location.id,
+      units: location.crops.units || "pixels",
+      calibration: getCalibrationConfig(location).mode,
+      frame: { width: frame.width, height: frame.height },
+      regions: getCropRegions(location, frame.width, frame.height).map(
+        ({ name, x, y, width, height, mask }) => ({
+          name,
+          x,
+          y,
+          width,
+          height,
+          masked: Boolean(mask)
+        })
+      )
+    });
   } catch (error) {
-    console.error("Client endpoint error:", error);
+    console.error("Editor crops error:", error);
     res.status(500).json({
-      error: "Failed to serve client",
+      error: "Failed to get crop regions",
       message: error.message
     });
   }
 });
 
-app.get("/history", async (req, res) => {
-  try {
-    // Serve the history view HTML file
-    const historyPath = path.join(process.cwd(), "history.html");
-    res.sendFile(historyPath);
-  } catch (error) {
-    console.error("History endpoint error:", error);
-    res.status(500).json({
-      error: "Failed to serve history view",
-      message: error.message
-    });
+// Check crop boxes from the editor against the frame they were drawn on.
+// Returns an error message, or null if they are all valid.
+function validateCropBoxes(location, boxes, frame) {
+  if (!boxes || typeof boxes !== "object" || Array.isArray(boxes)) {
+    return "coordinates must be an object of { x, y, width, height } boxes";
   }
-});
 
-// Debug endpoint to get the latest full frame image
-app.get("/debug/image", async (req, res) => {
+  const known = Object.keys(location.crops.coordinates);
+  const names = Object.keys(boxes);
+  const missing = known.filter((name) => !names.includes(name));
+  const unknown = names.filter((name) => !known.includes(name));
+
+  if (missing.length > 0 || unknown.length > 0) {
+    return `coordinates must contain exactly these regions: ${known.join(", ")}`;
+  }
+
+  for (const [name, box] of Object.entries(boxes)) {
+    const values = [box.x, box.y, box.width, box.height];
+    if (!values.every((value) => Number.isInteger(value))) {
+      return `Region "${name}" needs integer x, y, width and height`;
+    }
+    if (box.x < 0 || box.y < 0 || box.width < 1 || box.height < 1) {
+      return `Region "${name}" must have a non-negative position and a positive size`;
+    }
+    if (box.x + box.width > frame.width || box.y + box.height > frame.height) {
+      return `Region "${name}" (${box.width}x${box.height} at ${box.x},${box.y}) is outside the ${frame.width}x${frame.height} frame`;
+    }
+  }
+
+  return null;
+}
+
+app.post("/admin/crops", requireAdmin, express.json(), async (req, res) => {
   try {
-    console.log("Getting latest full frame image for debug...");
-    const imageBuffer = await getFrameData();
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
+
+    const frame = editorFrames.get(location.id);
+    if (!frame) {
+      return res.status(409).json({
+        error: "No editor frame",
+        message: `Load /debug/editor/frame?location=${location.id} first`
+      });
+    }
 
-    res.set({
-      "Content-Type": "image/png",
-      "Content-Length": imageBuffer.length
-    });
+    const boxes = req.body && req.body.coordinates;
+    const updateReference = Boolean(req.body && req.body.updateReference);
+    const invalid = validateCropBoxes(location, boxes, frame);
+    if (invalid) {
+      return res.status(400).json({
+        error: "Invalid crop coordinates",
+        message: invalid,
+        example:
+          '{ "coordinates": { "west": { "x": 144, "y": 253, "width": 200, "height": 200 } } }'
+      });
+    }
 
-    res.send(imageBuffer);
+    // Store in the units the config already uses, keeping masks in step
+    // with the new box sizes and any other per-region settings
+    const { units, dimensions = {} } = location.crops;
+    const relative = units === "relative";
+
+    // Fractions of the frame to 4 decimals, in whole steps of 0.0001 so a box
+    // touching the edge doesn't round past it
+    const toRelative = (start, size, total) => {
+      const startSteps = Math.round((start / total) * 10000);
+      const sizeSteps = Math.min(
+        Math.max(Math.round((size / total) * 10000), 1),
+        10000 - startSteps
+      );
+      return [startSteps / 10000, sizeSteps / 10000];
+    };
+
+    const coordinates = Object.fromEntries(
+      Object.entries(location.crops.coordinates).map(([name, original]) => {
+        const { x, y, width, height } = boxes[name];
+        let updated = { x, y, width, height };
+
+        if (relative) {
+          const [relativeX, relativeWidth] = toRelative(x, width, frame.width);
+          const [relativeY, relativeHeight] = toRelative(
+            y,
+            height,
+            frame.height
+          );
+          updated = {
+            x: relativeX,
+            y: relativeY,
+            width: relativeWidth,
+            height: relativeHeight
+          };
+        }
+
+        // Relative masks are fractions of the box and need no change
+        if (original.mask && !relative) {
+          const scaleX = width / (original.width ?? dimensions.width);
+          const scaleY = height / (original.height ?? dimensions.height);
+          updated.mask = original.mask.map(([mx, my]) => [
+            Math.round(mx * scaleX),
+            Math.round(my * scaleY)
+          ]);
+        }
+
+        return [name, { ...original, ...updated }];
+      })
+    );
+
+    // Merge into the file as it is now, which may hold edits that haven't
+    // been loaded, and only write it if the result is valid
+    const next = readConfigFile(configPath);
+    const settings =
+      location.id === defaultLocationId
+        ? next
+        : next.locations && next.locations[location.id];
+    if (!settings) {
+      return res.status(409).json({
+        error: "Location not in config file",
+        message: `${configPath} no longer has a location "${location.id}"`
+      });
+    }
+    settings.crops = { ...settings.crops, coordinates };
+
+    const problems = validateConfig(next);
+    if (problems.length > 0) {
+      return res.status(409).json({
+        error: "Invalid configuration",
+        message: `Fix ${configPath} before saving crops: ${problems.join("; ")}`
+      });
+    }
+
+    writeConfig(next);
+    reloadConfig("crop editor");
+
+    // Only when asked, since health checks and calibration compare captures
+    // against the reference view
+    if (updateReference) {
+      const { referenceImage } = getHealthConfig(location);
+      fs.mkdirSync(path.dirname(referenceImage), { recursive: true });
+      fs.writeFileSync(referenceImage, frame.imageBuffer);
+      fs.rmSync(getCalibrationFile(location), { force: true });
+    }
+
+    console.log(`Saved crop coordinates for ${location.id} from the editor`);
+
+    res.json({
+      message: "Crop coordinates saved",
+      location: location.id,
+      coordinates,
+      referenceUpdated: updateReference
+    });
   } catch (error) {
-    console.error("Debug latest image error:", error);
+    console.error("Crops endpoint error:", error);
     res.status(500).json({
-      error: "Failed to get latest image",
+      error: "Failed to save crop coordinates",
       message: error.message
     });
   }
 });
 
 // Debug endpoint to show full image with crop areas outlined
-app.get("/debug/overlay", async (req, res) => {
+adminRoute("/debug/overlay", async (req, res) => {
   try {
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
+
     console.log("Getting full frame image with crop overlays...");
 
     // Get the full frame image first
-    const imageBuffer = await getFrameData();
-
-    // Get crop coordinates and dimensions from config
-    const cropCoordinates = config.crops.coordinates;
-    const cropWidth = config.crops.dimensions.width;
-    const cropHeight = config.crops.dimensions.height;
+    const imageBuffer = await getFrameData(location.source);
+    const { width, height } = getImageDimensions(imageBuffer);
+
+    // Get crop regions from config, where they are for this frame
+    const regions = getCropRegions(
+      location,
+      width,
+      height,
+      getAppliedCalibration(location)
+    );
 
     // Create overlay using ffmpeg with drawbox filter
     const overlayBuffer = await new Promise((resolve, reject) => {
       // Build the drawbox filter string for all crop areas
-      const drawboxFilters = Object.entries(cropCoordinates)
-        .map(([direction, coords]) => {
-          return `drawbox=x=${coords.x}:y=${coords.y}:w=${cropWidth}:h=${cropHeight}:color=black@0.5:t=4`;
+      const drawboxFilters = regions
+        .map((region) => {
+          return `drawbox=x=${region.x}:y=${region.y}:w=${region.width}:h=${region.height}:color=black@0.5:t=4`;
         })
         .join(",");
 
@@ -1216,10 +6917,13 @@ app.get("/debug/overlay", async (req, res) => {
 });
 
 // Debug endpoint to get cropped sections
-app.get("/debug/crop/:direction", async (req, res) => {
+adminRoute("/debug/crop/:direction", async (req, res) => {
   try {
+    const location = getRequestedLocation(req, res);
+    if (!location) return;
+
     const direction = req.params.direction;
-    const validDirections = ["west", "north-west", "north-east", "east"];
+    const validDirections = Object.keys(location.crops.coordinates);
 
     if (!validDirections.includes(direction)) {
       return res.status(400).json({
@@ -1231,16 +6935,24 @@ app.get("/debug/crop/:direction", async (req, res) => {
     console.log(`Getting cropped section for ${direction}...`);
 
     // Get the full frame image first
-    const imageBuffer = await getFrameData();
+    const imageBuffer = await getFrameData(location.source);
+    const { width, height } = getImageDimensions(imageBuffer);
 
-    // Get crop coordinates from config
-    const cropCoordinates = config.crops.coordinates[direction];
+    // Get crop region from config, where it is for this frame
+    const region = getCropRegions(
+      location,
+      width,
+      height,
+      getAppliedCalibration(location)
+    ).find((r) => r.name === direction);
 
     // Create the cropped section
     const croppedBuffer = await getCroppedSection(
       imageBuffer,
-      cropCoordinates.x,
-      cropCoordinates.y
+      region.x,
+      region.y,
+      region.width,
+      region.height
     );
 
     res.set({
@@ -1258,6 +6970,31 @@ app.get("/debug/crop/:direction", async (req, res) => {
   }
 });
 
+// Look up a location for an MCP tool call, defaulting to the default location
+function getMcpLocation(id) {
+  if (!id) {
+    return getDefaultLocation();
+  }
+
+  const location = getLocation(id);
+  if (!location) {
+    throw new Error(
+      `Unknown location "${id}". Available locations: ${getLocations()
+        .map((l) => l.id)
+        .join(", ")}`
+    );
+  }
+
+  return location;
+}
+
+const mcpLocationParam = z
+  .string()
+  .optional()
+  .describe(
+    "Optional location id (see /api/locations). Defaults to SUMMIT One Vanderbilt."
+  );
+
 function buildMcpServer() {
   const server = new McpServer({
     name: "nyc-sky-colors",
@@ -1268,20 +7005,22 @@ function buildMcpServer() {
     "get_current_sky_color",
     {
       description:
-        "Get the current sky colors over NYC (west, north-west, north-east, east) sampled from the live SUMMIT One Vanderbilt webcam. Updated every 15 minutes."
+        "Get the current sky colors over NYC for each configured crop region (by default west, north-west, north-east, east) sampled from the live SUMMIT One Vanderbilt webcam. Updated every 15 minutes.",
+      inputSchema: {
+        location: mcpLocationParam
+      }
     },
-    async () => {
-      const cached = await getCachedData();
+    async ({ location: locationId }) => {
+      const location = getMcpLocation(locationId);
+      const cached = await getCachedData(location);
       const payload = {
-        colors: {
-          west: cached.westColor,
-          "north-west": cached.northWestColor,
-          "north-east": cached.northEastColor,
-          east: cached.eastColor
-        },
+        colors: cached.colors,
+        extraction: cached.extraction,
+        condition: cached.condition,
+        astronomy: cached.astronomy,
         timestamp: cached.lastUpdated,
         formatted: new Date(cached.lastUpdated).toLocaleString("en-US", {
-          timeZone: "America/New_York"
+          timeZone: location.timezone
         })
       };
       return {
@@ -1294,7 +7033,7 @@ function buildMcpServer() {
     "get_sky_color_at_date",
     {
       description:
-        "Look up historical NYC sky colors for a specific date (and optional time). If only date is given, returns all 15-minute intervals recorded that day. Times are New York local time.",
+        "Look up historical NYC sky colors for a specific date (and optional time). If only date is given, returns all 15-minute intervals recorded that day, optionally only those with a given sky condition. Times are New York local time.",
       inputSchema: {
         date: z
           .string()
@@ -1302,17 +7041,57 @@ function buildMcpServer() {
           .describe("Date in YYYY-MM-DD format (America/New_York)"),
         time: z
           .string()
-          .regex(/^\d{1,2}:\d{2}$/)
+          .regex(/^\d{1,2}:\d{2}b?$/)
           .optional()
           .describe(
-            "Optional time in HH:MM (24-hour, NYC local). Snapped to 15-minute intervals."
-          )
+            'Optional time in HH:MM (24-hour, NYC local). Matched to a recorded sample according to `lookup`. Add a "b" suffix (e.g. 01:30b) for the second pass through the hour repeated when clocks fall back.'
+          ),
+        lookup: z
+          .enum(lookupModes)
+          .optional()
+          .describe(
+            "How to match `time`: exact slot, nearest sample, or the closest sample before/after it. Defaults to nearest."
+          ),
+        toleranceMinutes: z
+          .number()
+          .min(0)
+          .optional()
+          .describe(
+            "How far from `time` a sample may be. Defaults to half the update interval."
+          ),
+        interpolate: z
+          .boolean()
+          .optional()
+          .describe(
+            "Blend the samples either side of `time` instead of picking one."
+          ),
+        condition: z
+          .enum(skyConditions)
+          .optional()
+          .describe(
+            "Without `time`, only return intervals classified with this sky condition."
+          ),
+        location: mcpLocationParam
       }
     },
-    async ({ date, time }) => {
+    async ({
+      date,
+      time,
+      lookup,
+      toleranceMinutes,
+      interpolate,
+      condition,
+      location: locationId
+    }) => {
       try {
+        const location = getMcpLocation(locationId);
+
         if (time) {
-          const result = getColorDataForDateTime(date, time);
+          const result = getColorDataForDateTime(date, time, location, {
+            mode: lookup,
+            toleranceMinutes,
+            interpolate
+          });
           return {
             content: [
               {
@@ -1322,7 +7101,11 @@ function buildMcpServer() {
                     date,
                     time,
                     colors: result.colors,
-                    timestamp: result.timestamp
+                    extraction: result.extraction,
+                    condition: result.condition,
+                    astronomy: result.astronomy,
+                    timestamp: result.timestamp,
+                    lookup: result.lookup
                   },
                   null,
                   2
@@ -1331,13 +7114,117 @@ function buildMcpServer() {
             ]
           };
         }
-        const intervals = getAllColorDataForDate(date);
+        const intervals = getAllColorDataForDate(date, location).filter(
+          (interval) =>
+            !condition ||
+            (interval.condition && interval.condition.label === condition)
+        );
+        // Missing slots, so gaps in the day aren't mistaken for continuity
+        const { gaps } = getCoverage(location, date, date);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                { date, totalIntervals: intervals.length, gaps, intervals },
+                null,
+                2
+              )
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          isError: true,
+          content: [{ type: "text", text: error.message }]
+        };
+      }
+    }
+  );
+
+  server.registerTool(
+    "get_coverage",
+    {
+      description:
+        "Report how complete the recorded NYC sky color history is between two dates: expected capture slots per day, how many have a sample, completeness percentages and the gaps where captures are missing. Dates are New York local dates.",
+      inputSchema: {
+        from: z
+          .string()
+          .regex(/^\d{4}-\d{2}-\d{2}$/)
+          .describe("First date in YYYY-MM-DD format (America/New_York)"),
+        to: z
+          .string()
+          .regex(/^\d{4}-\d{2}-\d{2}$/)
+          .describe("Last date in YYYY-MM-DD format, inclusive"),
+        location: mcpLocationParam
+      }
+    },
+    async ({ from, to, location: locationId }) => {
+      try {
+        const location = getMcpLocation(locationId);
+        const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+
+        if (!(days >= 1 && days <= 366)) {
+          throw new Error(
+            "from must be on or before to, at most 366 days apart"
+          );
+        }
+
+        const {
+          summary,
+          days: dayReports,
+          gaps
+        } = getCoverage(location, from, to);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  from,
+                  to,
+                  intervalMinutes: location.cache.updateIntervalMinutes,
+                  summary,
+                  days: dayReports,
+                  gaps
+                },
+                null,
+                2
+              )
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          isError: true,
+          content: [{ type: "text", text: error.message }]
+        };
+      }
+    }
+  );
+
+  server.registerTool(
+    "get_highlights",
+    {
+      description:
+        "Get the notable moments of a day of NYC sky colors: the most vivid sunrise and sunset, the fastest color change between captures, and samples whose colors were unusual compared with the same time on previous days. Each highlight links to its archived frame and crops when those were kept. Dates are New York local dates.",
+      inputSchema: {
+        date: z
+          .string()
+          .regex(/^\d{4}-\d{2}-\d{2}$/)
+          .describe("Date in YYYY-MM-DD format (America/New_York)"),
+        location: mcpLocationParam
+      }
+    },
+    async ({ date, location: locationId }) => {
+      try {
+        const location = getMcpLocation(locationId);
         return {
           content: [
             {
               type: "text",
               text: JSON.stringify(
-                { date, totalIntervals: intervals.length, intervals },
+                { date, ...getHighlights(location, date) },
                 null,
                 2
               )
@@ -1396,6 +7283,77 @@ app.delete("/mcp", (req, res) => {
   });
 });
 
-app.listen(port, () => {
-  console.log(`Server is running at http://localhost:${port}`);
-});
+const cliCommands = {
+  reprocess: runReprocessCli,
+  "migrate-storage": runMigrateStorageCli,
+  calibrate: runCalibrateCli
+};
+
+if (!Number.isInteger(port) || port < 1 || port > 65535) {
+  console.error(`Invalid port "${process.env.PORT}". Expected 1-65535`);
+  process.exit(1);
+}
+
+if (cliCommands[process.argv[2]]) {
+  cliCommands[process.argv[2]](process.argv.slice(3)).then((code) =>
+    process.exit(code)
+  );
+} else {
+  loadJobs();
+  loadWebhookDeliveries();
+
+  const server = app.listen(port, () => {
+    console.log(`Server is running at http://localhost:${port}`);
+    startScheduler();
+    watchConfig();
+  });
+
+  // WebSocket counterpart of /api/stream, sending each event as
+  // { id, event, data } JSON messages
+  const wss = new WebSocketServer({ server, path: "/api/ws" });
+
+  wss.on("connection", (socket, req) => {
+    const query = new URL(req.url, "http://localhost").searchParams;
+    const locationId = query.get("location");
+    const format = query.get("format") || "v1";
+
+    if (locationId && !getLocation(locationId)) {
+      socket.close(1008, `No location with id "${locationId}"`);
+      return;
+    }
+
+    if (!responseFormats.includes(format)) {
+      socket.close(
+        1008,
+        `Format must be one of: ${responseFormats.join(", ")}`
+      );
+      return;
+    }
+
+    const subscriber = {
+      locationId,
+      format,
+      send: (event) => {
+        socket.send(
+          JSON.stringify({
+            id: event.id,
+            event: event.type,
+            data: formatLiveEvent(event, format)
+          })
+        );
+      }
+    };
+    eventSubscribers.add(subscriber);
+
+    // Ping idle connections so proxies and dead peers are noticed
+    const keepAlive = setInterval(() => socket.ping(), 30000);
+
+    socket.on("close", () => {
+      clearInterval(keepAlive);
+      eventSubscribers.delete(subscriber);
+    });
+    socket.on("error", (error) => {
+      console.error("WebSocket error:", error);
+    });
+  });
+}
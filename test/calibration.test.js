@@ -0,0 +1,144 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getThumbnailSimilarity,
+  getFrameThumbnail,
+  matchFrameToReference
+} from "../frames.js";
+
+const settings = { maxOffset: 0.05, maxScaleChange: 0.08 };
+
+// A reference view in memory: a sky gradient over a row of buildings of
+// different heights with some lit windows, laid out by a seeded generator so
+// every run sees the same frame
+function createReferenceFrame(width = 640, height = 360) {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+
+  const skyline = new Array(width);
+  for (let x = 0; x < width;) {
+    const buildingWidth = 20 + Math.floor(random() * 50);
+    const top = Math.floor(height * (0.25 + random() * 0.5));
+    const shade = 40 + Math.floor(random() * 60);
+    for (let i = 0; i < buildingWidth && x < width; i++, x++) {
+      skyline[x] = { top, shade };
+    }
+  }
+
+  // Scattered rather than in a regular grid, which would match itself at
+  // more than one shift
+  const litWindows = new Set();
+  for (let i = 0; i < (width * height) / 400; i++) {
+    litWindows.add(
+      `${Math.floor((random() * width) / 6)},${Math.floor((random() * height) / 8)}`
+    );
+  }
+
+  const pixels = new Uint8Array(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 3;
+      const { top, shade } = skyline[x];
+      let rgb;
+
+      if (y < top) {
+        const t = y / height;
+        rgb = [90 + 100 * t, 140 + 60 * t, 230 - 40 * t];
+      } else if (litWindows.has(`${Math.floor(x / 6)},${Math.floor(y / 8)}`)) {
+        rgb = [230, 200, 120];
+      } else {
+        rgb = [shade, shade, shade + 10];
+      }
+
+      pixels.set(rgb, offset);
+    }
+  }
+
+  return { width, height, pixels };
+}
+
+// The same view with the camera panned: content moves right by `dx` and down
+// by `dy` pixels, and the uncovered edge repeats the nearest pixel
+function shiftFrame(frame, dx, dy) {
+  const { width, height } = frame;
+  const pixels = new Uint8Array(frame.pixels.length);
+
+  for (let y = 0; y < height; y++) {
+    const sourceY = Math.min(Math.max(y - dy, 0), height - 1);
+    for (let x = 0; x < width; x++) {
+      const sourceX = Math.min(Math.max(x - dx, 0), width - 1);
+      const from = (sourceY * width + sourceX) * 3;
+      pixels.set(frame.pixels.subarray(from, from + 3), (y * width + x) * 3);
+    }
+  }
+
+  return { width, height, pixels };
+}
+
+describe("matchFrameToReference", () => {
+  const reference = createReferenceFrame();
+
+  it("finds no change for the reference frame itself", () => {
+    const match = matchFrameToReference(reference, reference, settings);
+
+    assert.equal(match.scale, 1);
+    assert.equal(match.offsetX, 0);
+    assert.equal(match.offsetY, 0);
+    assert.ok(match.score > 0.99);
+  });
+
+  it("finds the shift of a panned copy of the reference frame", () => {
+    // 2.5% of the frame right and 2.5% down
+    const frame = shiftFrame(reference, 16, 9);
+    const match = matchFrameToReference(reference, frame, settings);
+
+    assert.ok(Math.abs(match.scale - 1) < 0.01, `scale ${match.scale}`);
+    assert.ok(Math.abs(match.offsetX - 0.025) < 0.005, `x ${match.offsetX}`);
+    assert.ok(Math.abs(match.offsetY - 0.025) < 0.005, `y ${match.offsetY}`);
+    // Good enough for the default calibration.minScore
+    assert.ok(match.score >= 0.5, `score ${match.score}`);
+  });
+
+  it("finds shifts to the left and up as negative offsets", () => {
+    const frame = shiftFrame(reference, -16, -9);
+    const match = matchFrameToReference(reference, frame, settings);
+
+    assert.ok(Math.abs(match.offsetX + 0.025) < 0.005, `x ${match.offsetX}`);
+    assert.ok(Math.abs(match.offsetY + 0.025) < 0.005, `y ${match.offsetY}`);
+  });
+
+  it("rejects frames with a different aspect ratio", () => {
+    assert.throws(
+      () =>
+        matchFrameToReference(
+          reference,
+          createReferenceFrame(640, 480),
+          settings
+        ),
+      /aspect ratio/
+    );
+  });
+});
+
+describe("getThumbnailSimilarity", () => {
+  it("scores a panned view lower than the same view", () => {
+    const reference = createReferenceFrame();
+    const thumbnail = (frame) =>
+      getFrameThumbnail(frame.pixels, frame.width, frame.height);
+
+    const same = getThumbnailSimilarity(
+      thumbnail(reference),
+      thumbnail(reference)
+    );
+    const panned = getThumbnailSimilarity(
+      thumbnail(reference),
+      thumbnail(shiftFrame(reference, 64, 0))
+    );
+
+    assert.ok(same > 0.99);
+    assert.ok(panned < same - 0.2, `panned ${panned}`);
+  });
+});
@@ -0,0 +1,338 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseTimeKey,
+  formatTimeKey,
+  getLocalTimestamp,
+  getSampleTimestamp,
+  getSlotKey,
+  getLocalDateString,
+  getNextDateString,
+  getMinutesOfDay,
+  getNextSlotTimestamp
+} from "../time.js";
+
+const newYork = { timezone: "America/New_York" };
+const utc = (iso) => Date.parse(iso);
+
+// Every slot of a local day, walked the way the scheduler walks it
+function walkDay(timeZone, dateStr, intervalMinutes) {
+  const start = getLocalTimestamp(timeZone, dateStr, 0, 0);
+  const end = getLocalTimestamp(timeZone, getNextDateString(dateStr), 0, 0);
+  const slots = [];
+
+  for (
+    let t = start;
+    t < end;
+    t = getNextSlotTimestamp(timeZone, intervalMinutes, t)
+  ) {
+    slots.push(t);
+  }
+
+  return slots;
+}
+
+describe("parseTimeKey and formatTimeKey", () => {
+  it("parses plain and repeated-hour keys", () => {
+    assert.deepEqual(parseTimeKey("09:15"), {
+      hour: 9,
+      minute: 15,
+      repeated: false
+    });
+    assert.deepEqual(parseTimeKey("1:30b"), {
+      hour: 1,
+      minute: 30,
+      repeated: true
+    });
+  });
+
+  it("rejects malformed and out of range keys", () => {
+    for (const key of ["24:00", "12:60", "1230", "01:15a", "", "01:15bb"]) {
+      assert.throws(() => parseTimeKey(key), /Invalid time/);
+    }
+  });
+
+  it("pads hours and minutes", () => {
+    assert.equal(formatTimeKey(1, 5), "01:05");
+    assert.equal(formatTimeKey(1, 5, true), "01:05b");
+    assert.equal(formatTimeKey(23, 45, false), "23:45");
+  });
+
+  it("counts wall-clock minutes since midnight", () => {
+    assert.equal(getMinutesOfDay("00:00"), 0);
+    assert.equal(getMinutesOfDay("01:15b"), 75);
+    assert.equal(getMinutesOfDay("23:45"), 1425);
+  });
+});
+
+describe("getSampleTimestamp", () => {
+  it("uses the offset in effect on ordinary days", () => {
+    assert.equal(
+      getSampleTimestamp(newYork, "2025-01-15", "12:00"),
+      utc("2025-01-15T17:00:00Z")
+    );
+    assert.equal(
+      getSampleTimestamp(newYork, "2025-07-01", "12:00"),
+      utc("2025-07-01T16:00:00Z")
+    );
+  });
+
+  it("switches offset at 02:00 when clocks spring forward", () => {
+    assert.equal(
+      getSampleTimestamp(newYork, "2025-03-09", "00:00"),
+      utc("2025-03-09T05:00:00Z")
+    );
+    assert.equal(
+      getSampleTimestamp(newYork, "2025-03-09", "01:45"),
+      utc("2025-03-09T06:45:00Z")
+    );
+    assert.equal(
+      getSampleTimestamp(newYork, "2025-03-09", "03:00"),
+      utc("2025-03-09T07:00:00Z")
+    );
+    assert.equal(
+      getSampleTimestamp(newYork, "2025-03-09", "23:45"),
+      utc("2025-03-10T03:45:00Z")
+    );
+  });
+
+  it("reads times in the spring-forward gap an hour later", () => {
+    assert.equal(
+      getSampleTimestamp(newYork, "2025-03-09", "02:00"),
+      utc("2025-03-09T07:00:00Z")
+    );
+    assert.equal(
+      getSampleTimestamp(newYork, "2025-03-09", "02:30"),
+      utc("2025-03-09T07:30:00Z")
+    );
+  });
+
+  it("tells the two passes through the repeated hour apart", () => {
+    assert.equal(
+      getSampleTimestamp(newYork, "2025-11-02", "01:15"),
+      utc("2025-11-02T05:15:00Z")
+    );
+    assert.equal(
+      getSampleTimestamp(newYork, "2025-11-02", "01:15b"),
+      utc("2025-11-02T06:15:00Z")
+    );
+    assert.equal(
+      getSampleTimestamp(newYork, "2025-11-02", "02:00"),
+      utc("2025-11-02T07:00:00Z")
+    );
+  });
+
+  it("ignores the suffix outside a repeated hour", () => {
+    assert.equal(
+      getSampleTimestamp(newYork, "2025-11-02", "03:00b"),
+      getSampleTimestamp(newYork, "2025-11-02", "03:00")
+    );
+  });
+
+  it("does not depend on the server's own timezone", () => {
+    // Transitions elsewhere fall on other dates and at other hours
+    const london = { timezone: "Europe/London" };
+    assert.equal(
+      getSampleTimestamp(london, "2025-03-30", "02:30"),
+      utc("2025-03-30T01:30:00Z")
+    );
+    assert.equal(
+      getSampleTimestamp(london, "2025-10-26", "01:30b"),
+      utc("2025-10-26T01:30:00Z")
+    );
+    assert.equal(
+      getSampleTimestamp(london, "2025-10-26", "01:30"),
+      utc("2025-10-26T00:30:00Z")
+    );
+  });
+});
+
+describe("getSlotKey", () => {
+  it("gives the local date and time of an instant", () => {
+    assert.deepEqual(
+      getSlotKey(utc("2025-07-01T16:00:00Z"), "America/New_York"),
+      {
+        date: "2025-07-01",
+        time: "12:00"
+      }
+    );
+    assert.deepEqual(
+      getSlotKey(utc("2025-07-02T03:59:00Z"), "America/New_York"),
+      {
+        date: "2025-07-01",
+        time: "23:59"
+      }
+    );
+    assert.equal(
+      getLocalDateString(utc("2025-07-02T04:00:00Z"), "America/New_York"),
+      "2025-07-02"
+    );
+  });
+
+  it("truncates to the minute", () => {
+    assert.deepEqual(
+      getSlotKey(utc("2025-11-02T05:59:59.999Z"), "America/New_York"),
+      { date: "2025-11-02", time: "01:59" }
+    );
+    assert.deepEqual(
+      getSlotKey(utc("2025-11-02T06:00:30Z"), "America/New_York"),
+      { date: "2025-11-02", time: "01:00b" }
+    );
+  });
+
+  it("marks the second pass through the repeated hour", () => {
+    assert.equal(
+      getSlotKey(utc("2025-11-02T05:15:00Z"), "America/New_York").time,
+      "01:15"
+    );
+    assert.equal(
+      getSlotKey(utc("2025-11-02T06:15:00Z"), "America/New_York").time,
+      "01:15b"
+    );
+    assert.equal(
+      getSlotKey(utc("2025-11-02T07:00:00Z"), "America/New_York").time,
+      "02:00"
+    );
+  });
+
+  it("jumps from 01:59 to 03:00 when clocks spring forward", () => {
+    assert.equal(
+      getSlotKey(utc("2025-03-09T06:59:00Z"), "America/New_York").time,
+      "01:59"
+    );
+    assert.equal(
+      getSlotKey(utc("2025-03-09T07:00:00Z"), "America/New_York").time,
+      "03:00"
+    );
+  });
+
+  for (const [name, dateStr, slotCount] of [
+    ["an ordinary day", "2025-07-01", 96],
+    ["the spring-forward day", "2025-03-09", 92],
+    ["the fall-back day", "2025-11-02", 100]
+  ]) {
+    it(`round-trips every slot of ${name}`, () => {
+      const slots = walkDay("America/New_York", dateStr, 15);
+      assert.equal(slots.length, slotCount);
+
+      const keys = slots.map((t) => getSlotKey(t, "America/New_York"));
+      assert.equal(new Set(keys.map((key) => key.time)).size, slotCount);
+
+      keys.forEach((key, i) => {
+        assert.equal(key.date, dateStr);
+        assert.equal(getSampleTimestamp(newYork, key.date, key.time), slots[i]);
+      });
+    });
+  }
+});
+
+describe("getNextSlotTimestamp", () => {
+  const next = (iso, interval = 15) =>
+    getSlotKey(
+      getNextSlotTimestamp("America/New_York", interval, utc(iso)),
+      "America/New_York"
+    );
+
+  it("moves to the next boundary, strictly after now", () => {
+    assert.deepEqual(next("2025-07-01T16:07:00Z"), {
+      date: "2025-07-01",
+      time: "12:15"
+    });
+    assert.deepEqual(next("2025-07-01T16:15:00Z"), {
+      date: "2025-07-01",
+      time: "12:30"
+    });
+  });
+
+  it("rolls over to the next day at midnight", () => {
+    assert.deepEqual(next("2025-07-02T03:50:00Z"), {
+      date: "2025-07-02",
+      time: "00:00"
+    });
+    assert.deepEqual(next("2025-12-31T23:30:00-05:00", 60), {
+      date: "2026-01-01",
+      time: "00:00"
+    });
+  });
+
+  it("skips the missing hour when clocks spring forward", () => {
+    assert.equal(
+      getNextSlotTimestamp("America/New_York", 15, utc("2025-03-09T06:45:00Z")),
+      utc("2025-03-09T07:00:00Z")
+    );
+    assert.deepEqual(next("2025-03-09T06:45:00Z"), {
+      date: "2025-03-09",
+      time: "03:00"
+    });
+  });
+
+  it("visits the repeated hour twice when clocks fall back", () => {
+    assert.deepEqual(next("2025-11-02T05:45:00Z"), {
+      date: "2025-11-02",
+      time: "01:00b"
+    });
+    assert.deepEqual(next("2025-11-02T06:45:00Z"), {
+      date: "2025-11-02",
+      time: "02:00"
+    });
+  });
+});
+
+// Lord Howe Island moves its clocks by 30 minutes, at 02:00 local time
+describe("getNextSlotTimestamp across a 30-minute shift", () => {
+  const lordHowe = "Australia/Lord_Howe";
+  const times = (dateStr, interval) =>
+    walkDay(lordHowe, dateStr, interval).map(
+      (t) => getSlotKey(t, lordHowe).time
+    );
+
+  it("keeps hourly slots on the hour when clocks spring forward to 02:30", () => {
+    const slots = times("2025-10-05", 60);
+    assert.equal(slots.length, 23);
+    assert.deepEqual(slots.slice(0, 3), ["00:00", "01:00", "03:00"]);
+    assert.ok(slots.every((time) => time.endsWith(":00")));
+  });
+
+  it("keeps hourly slots on the hour when clocks fall back to 01:30", () => {
+    const slots = times("2025-04-06", 60);
+    assert.equal(slots.length, 24);
+    assert.deepEqual(slots.slice(0, 3), ["00:00", "01:00", "02:00"]);
+    assert.ok(slots.every((time) => time.endsWith(":00")));
+  });
+
+  it("visits the repeated half hour twice with shorter intervals", () => {
+    const slots = times("2025-04-06", 15);
+    assert.equal(slots.length, 98);
+    assert.deepEqual(slots.slice(4, 11), [
+      "01:00",
+      "01:15",
+      "01:30",
+      "01:45",
+      "01:30b",
+      "01:45b",
+      "02:00"
+    ]);
+    assert.equal(times("2025-10-05", 15).length, 94);
+  });
+
+  it("lands on the switch itself when the clock jumps to a boundary", () => {
+    // 01:50 LHST (+10:30), ten minutes before clocks go to 02:30
+    assert.equal(
+      getNextSlotTimestamp(lordHowe, 30, utc("2025-10-04T15:20:00Z")),
+      utc("2025-10-04T15:30:00Z")
+    );
+    assert.equal(
+      getNextSlotTimestamp(lordHowe, 60, utc("2025-10-04T15:20:00Z")),
+      utc("2025-10-04T16:00:00Z")
+    );
+  });
+});
+
+describe("getNextDateString", () => {
+  it("crosses month, year and leap day boundaries", () => {
+    assert.equal(getNextDateString("2025-01-31"), "2025-02-01");
+    assert.equal(getNextDateString("2025-12-31"), "2026-01-01");
+    assert.equal(getNextDateString("2024-02-28"), "2024-02-29");
+    assert.equal(getNextDateString("2025-11-02"), "2025-11-03");
+  });
+});
@@ -0,0 +1,238 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const serverPath = fileURLToPath(new URL("../server.js", import.meta.url));
+const adminToken = "test-admin-token";
+const secret = "test-webhook-secret";
+
+// Poll until `check` returns something truthy, or fail after `timeoutMs`
+async function waitFor(check, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+
+  throw new Error("Timed out waiting for the condition");
+}
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server.address().port));
+  });
+}
+
+// A port nothing is listening on, for the server under test
+async function getFreePort() {
+  const server = http.createServer();
+  const port = await listen(server);
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+// Local webhook receiver. Records every request with its raw body, and
+// answers with the next queued status code (200 once the queue is empty).
+function createReceiver() {
+  const requests = [];
+  const statusCodes = { "/started": [500], "/failed": [] };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      requests.push({
+        path: req.url,
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString("utf8")
+      });
+      res.statusCode = (statusCodes[req.url] || []).shift() || 200;
+      res.end();
+    });
+  });
+
+  return { server, requests };
+}
+
+// Run server.js against a scratch config and data directory. The source is
+// a missing file, so every capture fails straight away without ffmpeg.
+async function startServer(receiverPort) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "sky-webhooks-"));
+  const port = await getFreePort();
+
+  const config = {
+    source: { type: "file", path: "missing.png" },
+    cache: { updateIntervalMinutes: 15, scheduler: { enabled: false } },
+    crops: {
+      dimensions: { width: 10, height: 10 },
+      coordinates: { west: { x: 0, y: 0 } }
+    },
+    webhooks: {
+      retry: { maxAttempts: 3, initialDelaySeconds: 0.2 },
+      endpoints: [
+        {
+          id: "started",
+          url: `http://127.0.0.1:${receiverPort}/started`,
+          secret,
+          events: ["capture-started"]
+        },
+        {
+          id: "failed",
+          url: `http://127.0.0.1:${receiverPort}/failed`,
+          events: ["capture-failed"],
+          filters: { minConsecutiveFailures: 2 }
+        }
+      ]
+    }
+  };
+  fs.writeFileSync(path.join(workDir, "config.json"), JSON.stringify(config));
+
+  const child = spawn(process.execPath, [serverPath], {
+    cwd: workDir,
+    env: {
+      ...process.env,
+      ADMIN_TOKEN: adminToken,
+      CONFIG_PATH: path.join(workDir, "config.json"),
+      DATA_DIR: path.join(workDir, "data"),
+      PORT: String(port)
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+
+  await waitFor(() => output.includes("Server is running"));
+
+  return { child, workDir, baseUrl: `http://127.0.0.1:${port}` };
+}
+
+async function triggerCapture(baseUrl) {
+  const response = await fetch(`${baseUrl}/update-cache`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${adminToken}` }
+  });
+  assert.equal(response.status, 200);
+  return (await response.json()).jobId;
+}
+
+async function waitForJob(baseUrl, jobId) {
+  return await waitFor(async () => {
+    const response = await fetch(`${baseUrl}/api/jobs/${jobId}`);
+    const job = await response.json();
+    return job.state === "failed" && job;
+  });
+}
+
+describe("webhook delivery", () => {
+  const receiver = createReceiver();
+  let server;
+
+  before(async () => {
+    const receiverPort = await listen(receiver.server);
+    server = await startServer(receiverPort);
+  });
+
+  after(() => {
+    server.child.kill();
+    receiver.server.close();
+    fs.rmSync(server.workDir, { recursive: true, force: true });
+  });
+
+  it("signs the body and retries after a 500 response", async () => {
+    await waitForJob(server.baseUrl, await triggerCapture(server.baseUrl));
+
+    const attempts = await waitFor(() => {
+      const started = receiver.requests.filter((r) => r.path === "/started");
+      return started.length === 2 && started;
+    });
+
+    // Both attempts carry the same delivery and body
+    assert.equal(
+      attempts[0].headers["x-sky-colors-delivery"],
+      attempts[1].headers["x-sky-colors-delivery"]
+    );
+    assert.equal(attempts[0].body, attempts[1].body);
+
+    for (const attempt of attempts) {
+      assert.equal(attempt.headers["x-sky-colors-event"], "capture-started");
+      assert.equal(
+        attempt.headers["x-sky-colors-signature"],
+        "sha256=" +
+          crypto.createHmac("sha256", secret).update(attempt.body).digest("hex")
+      );
+    }
+
+    const body = JSON.parse(attempts[0].body);
+    assert.equal(body.event, "capture-started");
+    assert.equal(body.data.location, "default");
+  });
+
+  it("only sends capture-failed once the failure streak reaches the filter", async () => {
+    // The first capture already failed once, without a delivery
+    assert.equal(
+      receiver.requests.filter((r) => r.path === "/failed").length,
+      0
+    );
+
+    await waitForJob(server.baseUrl, await triggerCapture(server.baseUrl));
+
+    const [request] = await waitFor(() => {
+      const failed = receiver.requests.filter((r) => r.path === "/failed");
+      return failed.length === 1 && failed;
+    });
+    const body = JSON.parse(request.body);
+    assert.equal(body.event, "capture-failed");
+    assert.equal(body.data.consecutiveFailures, 2);
+    // Unsigned webhooks get no signature header
+    assert.equal(request.headers["x-sky-colors-signature"], undefined);
+  });
+
+  it("records each delivery and its attempts in the delivery log", async () => {
+    // Receivers may get a request before its outcome is logged
+    const deliveries = await waitFor(async () => {
+      const response = await fetch(
+        `${server.baseUrl}/admin/webhooks/deliveries`,
+        { headers: { Authorization: `Bearer ${adminToken}` } }
+      );
+      assert.equal(response.status, 200);
+      const { deliveries } = await response.json();
+      return deliveries.every((d) => d.status !== "pending") && deliveries;
+    });
+
+    const started = deliveries.filter((d) => d.webhookId === "started");
+    assert.equal(started.length, 2);
+    const retried = started.find((d) => d.attempts.length === 2);
+    assert.equal(retried.status, "delivered");
+    assert.deepEqual(
+      retried.attempts.map((attempt) => attempt.statusCode),
+      [500, 200]
+    );
+
+    const failed = deliveries.filter((d) => d.webhookId === "failed");
+    assert.equal(failed.length, 1);
+    assert.equal(failed[0].status, "delivered");
+
+    // The log is persisted, without the bodies of finished deliveries
+    const saved = JSON.parse(
+      fs.readFileSync(
+        path.join(server.workDir, "data", "webhook-deliveries.json"),
+        "utf8"
+      )
+    );
+    assert.deepEqual(
+      saved.map((d) => [d.id, d.status]),
+      deliveries.map((d) => [d.id, d.status]).sort((a, b) => a[0] - b[0])
+    );
+    assert.ok(saved.every((d) => d.body === undefined));
+  });
+});
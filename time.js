@@ -0,0 +1,207 @@
+// Local time slots. Samples are keyed by the location's local date
+// (YYYY-MM-DD) and wall-clock time (HH:MM). Everything that turns those keys
+// into instants, or instants into keys, goes through these helpers, which use
+// the timezone's actual offset at each instant so DST days come out right.
+//
+// When clocks fall back the hour before the switch happens twice. Times in
+// its second pass get a "b" suffix (e.g. 01:15b) so they don't overwrite the
+// first pass. Times skipped when clocks spring forward (e.g. 02:30) are read
+// with the offset from before the switch, landing an hour later (03:30).
+const localTimeFormatters = new Map();
+
+// Wall-clock parts of an instant in a timezone
+export function getLocalParts(timestamp, timeZone) {
+  if (!localTimeFormatters.has(timeZone)) {
+    localTimeFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit"
+      })
+    );
+  }
+
+  const parts = Object.fromEntries(
+    localTimeFormatters
+      .get(timeZone)
+      .formatToParts(new Date(timestamp))
+      .filter((part) => part.type !== "literal")
+      .map((part) => [part.type, Number(part.value)])
+  );
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond: ((timestamp % 1000) + 1000) % 1000
+  };
+}
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+export function getTimezoneOffset(timeZone, timestamp) {
+  const local = getLocalParts(timestamp, timeZone);
+  const wallClock = Date.UTC(
+    local.year,
+    local.month - 1,
+    local.day,
+    local.hour,
+    local.minute,
+    local.second,
+    local.millisecond
+  );
+
+  return wallClock - timestamp;
+}
+
+// Split a time key (H:MM, HH:MM or HH:MMb) into its parts
+export function parseTimeKey(timeStr) {
+  const match = /^(\d{1,2}):(\d{2})(b?)$/.exec(timeStr);
+
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time "${timeStr}". Expected HH:MM`);
+  }
+
+  return {
+    hour: Number(match[1]),
+    minute: Number(match[2]),
+    repeated: match[3] === "b"
+  };
+}
+
+export function formatTimeKey(hour, minute, repeated = false) {
+  return `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}${repeated ? "b" : ""}`;
+}
+
+// Instant of a local wall-clock time in a timezone. `repeated` picks the
+// second of two occurrences on the night clocks fall back.
+export function getLocalTimestamp(
+  timeZone,
+  dateStr,
+  hour,
+  minute,
+  repeated = false
+) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offsets a day either side cover any switch on this date. Each gives
+  // a candidate instant, which is right if the offset holds there too.
+  const candidates = [
+    wallClock - getTimezoneOffset(timeZone, wallClock - 86400000),
+    wallClock - getTimezoneOffset(timeZone, wallClock + 86400000)
+  ];
+  const valid = candidates
+    .filter(
+      (candidate) =>
+        wallClock - getTimezoneOffset(timeZone, candidate) === candidate
+    )
+    .sort((a, b) => a - b);
+
+  if (valid.length === 0) {
+    // Skipped by a spring-forward switch
+    return candidates[0];
+  }
+
+  return repeated ? valid[valid.length - 1] : valid[0];
+}
+
+// Convert a local date (YYYY-MM-DD) and time key at a location to a UTC timestamp
+export function getSampleTimestamp(location, dateStr, timeStr) {
+  const { hour, minute, repeated } = parseTimeKey(timeStr);
+  return getLocalTimestamp(location.timezone, dateStr, hour, minute, repeated);
+}
+
+// Local date and time key of an instant, to the minute. The second pass
+// through a repeated hour gets the "b" suffix.
+export function getSlotKey(timestamp, timeZone) {
+  const local = getLocalParts(timestamp, timeZone);
+  const date = `${local.year}-${String(local.month).padStart(2, "0")}-${String(local.day).padStart(2, "0")}`;
+  const minuteStart = Math.floor(timestamp / 60000) * 60000;
+  const repeated =
+    getLocalTimestamp(timeZone, date, local.hour, local.minute) !== minuteStart;
+
+  return { date, time: formatTimeKey(local.hour, local.minute, repeated) };
+}
+
+// Local calendar date (YYYY-MM-DD) of a timestamp in a timezone
+export function getLocalDateString(timestamp, timeZone) {
+  return getSlotKey(timestamp, timeZone).date;
+}
+
+// The calendar date after a YYYY-MM-DD date
+export function getNextDateString(dateStr) {
+  return new Date(Date.parse(dateStr + "T00:00:00Z") + 86400000)
+    .toISOString()
+    .slice(0, 10);
+}
+
+// Minutes since local midnight on the wall clock for a time key
+export function getMinutesOfDay(timeStr) {
+  const { hour, minute } = parseTimeKey(timeStr);
+  return hour * 60 + minute;
+}
+
+// Next wall-clock boundary (e.g. :00, :15, :30, :45) strictly after `now`.
+// Boundaries are counted from local midnight, so intervals that divide the
+// hour line up with the top of every hour. While the offset stays the same,
+// the boundary is the current instant plus the wall-clock difference. When
+// the offset changes first, the clock jumps at the switch: the switch is the
+// next boundary if the clock lands on one, e.g. 01:00 again when it falls
+// back an hour (so a repeated hour gets its slots twice), and otherwise the
+// search carries on from there. That also covers zones like
+// Australia/Lord_Howe, which shift by 30 minutes.
+export function getNextSlotTimestamp(
+  timeZone,
+  intervalMinutes,
+  now = Date.now()
+) {
+  const local = getLocalParts(now, timeZone);
+
+  // Minutes since local midnight, including the fractional part
+  const elapsedMinutes =
+    local.hour * 60 +
+    local.minute +
+    local.second / 60 +
+    local.millisecond / 60000;
+  const nextBoundaryMinutes =
+    (Math.floor(elapsedMinutes / intervalMinutes) + 1) * intervalMinutes;
+  const boundary = Math.round(
+    now + (nextBoundaryMinutes - elapsedMinutes) * 60000
+  );
+
+  const offset = getTimezoneOffset(timeZone, now);
+  if (getTimezoneOffset(timeZone, boundary) === offset) {
+    return boundary;
+  }
+
+  // First instant with the new offset, to the millisecond
+  let before = now;
+  let after = boundary;
+  while (after - before > 1) {
+    const middle = Math.floor((before + after) / 2);
+    if (getTimezoneOffset(timeZone, middle) === offset) {
+      before = middle;
+    } else {
+      after = middle;
+    }
+  }
+
+  const switched = getLocalParts(after, timeZone);
+  const onBoundary =
+    switched.second === 0 &&
+    switched.millisecond === 0 &&
+    (switched.hour * 60 + switched.minute) % intervalMinutes === 0;
+
+  return onBoundary
+    ? after
+    : getNextSlotTimestamp(timeZone, intervalMinutes, after);
+}